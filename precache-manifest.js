@@ -0,0 +1,34 @@
+// Precache Manifest
+// Everything the surprise needs to play without a network. version is a hash of these
+// files: run `node tools/stamp-precache.js` after changing any of them, so returning
+// visitors pick up the new copies instead of the cached ones
+self.PRECACHE_MANIFEST = {
+    version: '977a4f45bce7',
+    assets: [
+        './',
+        'index.html',
+        'styles.css',
+        'script.js',
+        'manifest.webmanifest',
+        'icons/icon.svg',
+        'icons/icon-192.png',
+        'icons/icon-512.png',
+        'fonts/dancing-script-latin-400-normal.woff2',
+        'fonts/dancing-script-latin-700-normal.woff2',
+        'fonts/playfair-display-latin-400-normal.woff2',
+        'fonts/playfair-display-latin-500-normal.woff2',
+        'fonts/playfair-display-latin-600-normal.woff2',
+        'fonts/playfair-display-latin-700-normal.woff2',
+        'fonts/playfair-display-latin-400-italic.woff2',
+        'fonts/jetbrains-mono-latin-400-normal.woff2',
+        'fonts/jetbrains-mono-latin-500-normal.woff2',
+        'locales/es.json',
+        'locales/ja.json',
+        'locales/ar.json',
+        'locales/he.json'
+    ],
+    // Cached when present, a bundle without them still installs
+    optional: [
+        'audio/theme.mp3'
+    ]
+};
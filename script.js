@@ -1,651 +1,7608 @@
+// Surprise Configuration
+// Everything that changes from one surprise to the next lives here. A custom config
+// can be loaded with ?config=<url> or from an inline
+// <script type="application/json" id="surprise-config"> block; missing optional
+// fields are filled in from these defaults.
+const DEFAULT_CONFIG = {
+    pageTitle: 'I Miss You - A Romantic Surprise',
+    fileName: 'i-miss-you.html',
+    title: 'To the Most Amazing Person in My Life',
+    subtitle: 'You are loved. Deeply. Genuinely. Endlessly.',
+    // One entry per paragraph, "\n" inside an entry is a single line break
+    letter: [
+        'To the Most Amazing Person in My Life,',
+        'There are moments when I still can\'t believe that someone like you came into my life. You\'ve brought light into places I didn\'t even realize were dark. Every day with you feels like a gift, something I never take for granted. You have this rare kind of warmth that makes everything feel calm, safe, and beautiful all at once.',
+        'I\'m lucky, no, blessed to have you. You\'ve shown me what genuine care feels like, what it means to love someone deeply, and to be loved in return. You make even the simplest days special, whether it\'s your laugh, your messages, or just knowing you\'re there. Somehow, you turn ordinary moments into memories I want to keep forever.',
+        'There\'s so much about you that amazes me: your kindness, your strength, your patience, and the way you make people around you feel seen and valued. You inspire me to be better, to work harder, to love deeper. You\'ve become my reason to smile, my calm after a long day, and my favorite thought every morning and night.',
+        'This website is something small compared to everything you deserve, but I made it to remind you how special you are to me. It\'s my way of saying thank you for staying, for caring, for being you. You\'ve changed my life in more ways than I can explain, and I\'ll keep being grateful for you always.',
+        'No matter what happens, please know this:\nYou are loved. Deeply. Genuinely. Endlessly.'
+    ],
+    signature: 'With all my heart,\nYour Love Lance',
+    // Tells the story as chapters on a timeline instead of the one letter above (which a config
+    // with chapters can leave out). Each is { title, letter } plus any of date ("2024-06-01" is
+    // written out in the recipient's language, other text shows as it is), photo (a URL or
+    // { src, alt }), effect, theme, palette and shapes, which restyle stage 3 while the chapter
+    // shows. The signature closes the last chapter, and a returning recipient picks up where they left off
+    chapters: [],
+    // One of romantic, birthday, anniversary, friendship and night (see THEMES), or 'auto' for
+    // night when the system prefers a dark color scheme and romantic otherwise. ?theme=<name>
+    // overrides it for a visit
+    theme: 'auto',
+    // Particle colors; null takes the theme's
+    palette: null,
+    effect: 'fade',
+    speed: 1,
+    // How stage 3 shows the letter: 'inline' under the heart, 'pages' as cards that fit the
+    // screen (turned with a swipe, the arrow keys or the buttons) or 'scroll', where each
+    // paragraph fades in as it scrolls into view. Text effects leave a paged or scrolled letter alone
+    reader: 'inline',
+    // Language of the page's own buttons, labels and announcements (the letter is yours to write):
+    // a tag like 'es' or 'ar-EG', or 'auto' for the browser's. Catalogs ship for en, es, ja, ar and he
+    // (ar and he mirror the layout); ?lang=<tag> overrides it for a visit
+    locale: 'auto',
+    // Replaces single entries of the catalog by key (see STRINGS), e.g. { "reader.next": "Onward" }
+    strings: {},
+    // Any of heart, circle, star, sparkle, petal and ring, or a name from customShapes; null takes the theme's
+    shapes: null,
+    // Extra particle shapes by name: { "text": "L" } draws a letter or emoji (optional "font"),
+    // { "path": "M12 2 L22 22 H2 Z" } fills an SVG path drawn in a 24×24 box (or "viewBox": size)
+    customShapes: {},
+    // Typed out in stage 1. Here and in the terminal title and script {{title}}, {{fileName}},
+    // {{package}} (file name without extension), {{address}}, {{primary}} and
+    // {{secondary}} (first two palette colors) are filled in, and so is any catalog string by key
+    code: [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '  <head>',
+        '    <title>{{title}}</title>',
+        '    <style>',
+        '      body {',
+        '        background: linear-gradient(45deg, {{primary}}, {{secondary}});',
+        '        font-family: \'Dancing Script\', cursive;',
+        '        display: flex;',
+        '        justify-content: center;',
+        '        align-items: center;',
+        '        height: 100vh;',
+        '        margin: 0;',
+        '      }',
+        '    </style>',
+        '  </head>'
+    ],
+    // Milliseconds per character, how much that varies (0-1) and the chance of a typo per letter
+    typing: {
+        speed: 16,
+        jitter: 0.6,
+        typoRate: 0.03
+    },
+    // Played in the stage 2 terminal. Each step is one of { command }, { output },
+    // { spinner } or { progress }, optionally with a delay (ms before the step), a
+    // duration (spinner/progress), a done text and a success/error/info/muted style
+    terminal: {
+        title: '{{terminal.title}}',
+        address: 'http://localhost:3000',
+        script: [
+            { command: 'npm run dev' },
+            { output: ['> {{package}}@1.0.0 dev', '> vite', ''], delay: 200 },
+            { spinner: '{{terminal.starting}}', duration: 900, done: '✓ {{terminal.running}} {{address}}', style: 'success' },
+            { output: '✓ {{terminal.ready}}', style: 'success' }
+        ]
+    },
+    // Stages in the order they play, by type or as { type, duration }. A duration
+    // holds the stage that long after its own work is done; without one, stages
+    // that have nothing to wait for stay until the recipient moves on. Add 'gallery'
+    // (before 'final') to show the photos below
+    stages: ['editor', 'terminal', 'final'],
+    // Photos for the 'gallery' stage, over the stage 3 particles: null for none, or { photos, layout,
+    // interval }. photos are image URLs (local files work offline) or { src, caption, alt }. layout is
+    // 'kenburns' for a slideshow that slowly pans and zooms (the default) or 'polaroid' for prints
+    // dealt onto the page with their captions, and interval the milliseconds each photo gets (4000).
+    // A photo that can't be loaded is left out, and any photo opens full size when tapped
+    gallery: null,
+    // Lets the recipient answer under the letter once it has played out: null for no reply panel,
+    // or { reactions, storage, notice }. reactions are the emoji offered (each bursts into particles
+    // of itself). storage is 'local' to keep replies in the recipient's browser, where they can be
+    // downloaded as JSON (the default), or { type: 'post', endpoint, headers } to POST each one as
+    // JSON to a server, held and retried while offline. Nothing is kept until the recipient ticks
+    // the privacy notice, and notice replaces its default wording
+    reply: null,
+    // Keeps the surprise locked before stage 1: null for no gate, or an object with an unlock time,
+    // a question or both. unlock is a date and time like "2026-02-14T09:00" in the recipient's own
+    // timezone (add an offset like "+01:00" for one fixed moment everywhere) and shows a countdown.
+    // question is asked once the time has come; answerHash is the SHA-256 of the answer, which
+    // UnlockGate.hash('the answer') prints in the browser console (case and extra spaces don't
+    // count), and hint shows after a couple of wrong tries. Once unlocked, a reload skips the gate
+    gate: null,
+    // Milliseconds the editor lingers after typing finishes, and the browser preview takes to load
+    timings: {
+        editor: 1200,
+        terminal: 1600
+    },
+    // Stage 3 particle physics. pointer pulls particles toward the cursor or finger ('attract'),
+    // pushes them away ('repel') or leaves them alone ('none'); bursts spawn hearts where the
+    // page is clicked. gravity and wind are constant pulls in px per frame², positive is down / right
+    physics: {
+        pointer: 'attract',
+        pointerRadius: 150,
+        pointerStrength: 0.5,
+        bursts: true,
+        gravity: 0,
+        wind: 0,
+        collisions: true
+    },
+    // Particle rendering. worker moves drawing off the main thread where OffscreenCanvas is
+    // supported; frameBudget is the milliseconds a frame may take before particles are thinned out
+    renderer: {
+        worker: false,
+        frameBudget: 8
+    },
+    // Set to null to hide the music button. src may list fallbacks, tried in order. No track
+    // ships with the page: drop one in as audio/theme.mp3 (see audio/README.md) and it plays
+    // offline. Without it the music button stays hidden, rather than streaming something else;
+    // list a stream URL here to use one instead (streams play online only, without the beat).
+    // playlist replaces src with several tracks (each a src like the above, or { src, type, lyrics })
+    // that crossfade into each other for crossfade ms and loop. Music fades in over fadeIn ms
+    // when stage 3 begins (autoplay) and, with reactive, the particles and heart follow the beat
+    // (bundled / same-origin files only, streams can't be analysed). lyrics is the URL of an LRC
+    // or WebVTT file timing the letter for the karaoke effect: cue N reveals line N of the letter
+    music: {
+        src: ['audio/theme.mp3'],
+        type: 'audio/mpeg',
+        lyrics: null,
+        playlist: [],
+        volume: 0.8,
+        autoplay: true,
+        fadeIn: 2000,
+        crossfade: 3000,
+        reactive: true
+    }
+};
+
+// Fields a custom config has to provide, everything else falls back to the defaults
+const REQUIRED_CONFIG_FIELDS = ['title', 'letter', 'signature'];
+
+const STAGE_TYPES = ['editor', 'terminal', 'gallery', 'final'];
+const POINTER_MODES = ['attract', 'repel', 'none'];
+const READER_MODES = ['inline', 'pages', 'scroll'];
+const GALLERY_LAYOUTS = ['kenburns', 'polaroid'];
+// Order the speed button cycles through
+const SPEED_STEPS = [1, 2, 0.5];
+
+class ConfigError extends Error {
+    constructor(errors, source) {
+        super(`Invalid surprise config (${source}):\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+        this.source = source;
+    }
+}
+
+// Config Loader Class
+class ConfigLoader {
+    // Resolves to a validated config, falling back to the defaults when the
+    // custom one can't be loaded so the recipient still gets a working page
+    static async load() {
+        try {
+            const found = await ConfigLoader.readSource();
+            if (!found) {
+                return DEFAULT_CONFIG;
+            }
+            return ConfigLoader.resolve(found.config, found.source);
+        } catch (error) {
+            console.error(error.message);
+            return DEFAULT_CONFIG;
+        }
+    }
+    
+    // A share link wins over the URL parameter, which wins over the inline block.
+    // A broken share link is reported and skipped rather than blocking the page.
+    static async readSource() {
+        if (ShareLink.hasPayload()) {
+            try {
+                return { config: await ShareLink.read(window.location.hash), source: 'share link' };
+            } catch (error) {
+                console.warn(`Ignoring share link: ${error.message}`);
+            }
+        }
+        
+        const params = new URLSearchParams(window.location.search);
+        const url = params.get('config');
+        if (url) {
+            return { config: await ConfigLoader.fetchConfig(url), source: url };
+        }
+        
+        const inline = document.getElementById('surprise-config');
+        if (inline && inline.textContent.trim()) {
+            return { config: ConfigLoader.parse(inline.textContent, '#surprise-config'), source: '#surprise-config' };
+        }
+        
+        return null;
+    }
+    
+    static async fetchConfig(url) {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-cache' });
+        } catch (error) {
+            throw new ConfigError([`could not be fetched: ${error.message}`], url);
+        }
+        if (!response.ok) {
+            throw new ConfigError([`request failed with HTTP ${response.status}`], url);
+        }
+        return ConfigLoader.parse(await response.text(), url);
+    }
+    
+    static parse(text, source) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ConfigError([`is not valid JSON: ${error.message}`], source);
+        }
+    }
+    
+    // Validates a custom config and merges it over the defaults
+    static resolve(custom, source) {
+        if (!ConfigLoader.isPlainObject(custom)) {
+            throw new ConfigError(['must be a JSON object'], source);
+        }
+        
+        // Chapters stand in for the letter
+        const hasChapters = Array.isArray(custom.chapters) && custom.chapters.length > 0;
+        const errors = REQUIRED_CONFIG_FIELDS
+            .filter(field => custom[field] === undefined && !(field === 'letter' && hasChapters))
+            .map(field => `"${field}" is required`);
+        
+        const unknown = Object.keys(custom).filter(key => !(key in DEFAULT_CONFIG));
+        if (unknown.length) {
+            console.warn(`Surprise config (${source}) has unknown fields that will be ignored: ${unknown.join(', ')}`);
+        }
+        
+        const config = ConfigLoader.merge(DEFAULT_CONFIG, custom);
+        errors.push(...ConfigLoader.validate(config));
+        if (errors.length) {
+            throw new ConfigError(errors, source);
+        }
+        // Photos without their stage never show, most likely the stage was forgotten
+        if (config.gallery !== null && !config.stages.some(stage => (stage.type || stage) === 'gallery')) {
+            console.warn(`Surprise config (${source}) has "gallery" photos but no "gallery" stage to show them, add 'gallery' to "stages" before 'final'`);
+        }
+        return config;
+    }
+    
+    // Objects are merged key by key, arrays and primitives replace the default
+    static merge(base, override) {
+        const result = { ...base };
+        Object.keys(base).forEach(key => {
+            if (override[key] === undefined) {
+                return;
+            }
+            // An empty default (customShapes) is an open map and is taken as given
+            const isOpenMap = ConfigLoader.isPlainObject(base[key]) && Object.keys(base[key]).length === 0;
+            if (ConfigLoader.isPlainObject(base[key]) && ConfigLoader.isPlainObject(override[key]) && !isOpenMap) {
+                result[key] = ConfigLoader.merge(base[key], override[key]);
+            } else {
+                result[key] = override[key];
+            }
+        });
+        return result;
+    }
+    
+    static validate(config) {
+        const errors = [];
+        
+        ['pageTitle', 'fileName', 'title'].forEach(field => {
+            if (!ConfigLoader.isText(config[field])) {
+                errors.push(`"${field}" must be a non-empty string`);
+            }
+        });
+        if (typeof config.subtitle !== 'string') {
+            errors.push('"subtitle" must be a string');
+        }
+        if (typeof config.signature !== 'string') {
+            errors.push('"signature" must be a string');
+        }
+        
+        if (!Array.isArray(config.letter) || config.letter.length === 0) {
+            errors.push('"letter" must be a non-empty array of paragraphs');
+        } else {
+            config.letter.forEach((paragraph, index) => {
+                if (!ConfigLoader.isText(paragraph)) {
+                    errors.push(`"letter[${index}]" must be a non-empty string`);
+                }
+            });
+        }
+        
+        if (!THEME_CHOICES.includes(config.theme)) {
+            errors.push(`"theme" must be one of ${THEME_CHOICES.join(', ')}, got ${JSON.stringify(config.theme)}`);
+        }
+        
+        // null follows the theme
+        if (Array.isArray(config.palette) && config.palette.length > 0) {
+            config.palette.forEach((color, index) => {
+                if (!ConfigLoader.isColor(color)) {
+                    errors.push(`"palette[${index}]" is not a valid CSS color: ${JSON.stringify(color)}`);
+                }
+            });
+        } else if (config.palette !== null) {
+            errors.push('"palette" must be null or a non-empty array of colors');
+        }
+        
+        if (!EFFECT_REGISTRY.has(config.effect)) {
+            errors.push(`"effect" must be one of ${effectNames().join(', ')}, got ${JSON.stringify(config.effect)}`);
+        }
+        
+        if (!SPEED_STEPS.includes(config.speed)) {
+            errors.push(`"speed" must be one of ${SPEED_STEPS.join(', ')}, got ${JSON.stringify(config.speed)}`);
+        }
+        
+        if (!READER_MODES.includes(config.reader)) {
+            errors.push(`"reader" must be one of ${READER_MODES.join(', ')}, got ${JSON.stringify(config.reader)}`);
+        }
+        
+        if (config.locale !== 'auto' && !(typeof config.locale === 'string' && LANGUAGE_TAG.test(config.locale))) {
+            errors.push(`"locale" must be 'auto' or a language tag like "es" or "ar-EG", got ${JSON.stringify(config.locale)}`);
+        }
+        if (!ConfigLoader.isPlainObject(config.strings)) {
+            errors.push('"strings" must be an object of text by key');
+        } else {
+            Object.entries(config.strings).forEach(([key, text]) => {
+                if (typeof text !== 'string') {
+                    errors.push(`"strings.${key}" must be a string`);
+                }
+            });
+        }
+        
+        errors.push(...ConfigLoader.validateCustomShapes(config.customShapes));
+        const custom = ConfigLoader.isPlainObject(config.customShapes) ? Object.keys(config.customShapes) : [];
+        const shapeNames = [...new Set([...SHAPE_REGISTRY.keys(), ...custom])];
+        if (Array.isArray(config.shapes) && config.shapes.length > 0) {
+            config.shapes.forEach((shape, index) => {
+                if (!shapeNames.includes(shape)) {
+                    errors.push(`"shapes[${index}]" must be one of ${shapeNames.join(', ')}, got ${JSON.stringify(shape)}`);
+                }
+            });
+        } else if (config.shapes !== null) {
+            errors.push('"shapes" must be null or a non-empty array of particle shapes');
+        }
+        
+        errors.push(...ConfigLoader.validateChapters(config.chapters, shapeNames));
+        
+        if (!Array.isArray(config.code) || config.code.length === 0 || !config.code.every(line => typeof line === 'string')) {
+            errors.push('"code" must be a non-empty array of source lines');
+        }
+        
+        if (!ConfigLoader.isPlainObject(config.typing)) {
+            errors.push('"typing" must be an object');
+        } else {
+            const { speed, jitter, typoRate } = config.typing;
+            if (typeof speed !== 'number' || !(speed > 0)) {
+                errors.push('"typing.speed" must be a positive number of milliseconds');
+            }
+            [['jitter', jitter], ['typoRate', typoRate]].forEach(([name, value]) => {
+                if (typeof value !== 'number' || value < 0 || value > 1) {
+                    errors.push(`"typing.${name}" must be a number between 0 and 1`);
+                }
+            });
+        }
+        
+        errors.push(...ConfigLoader.validateTerminal(config.terminal));
+        errors.push(...ConfigLoader.validateStages(config.stages));
+        if (config.gallery !== null) {
+            errors.push(...ConfigLoader.validateGallery(config.gallery));
+        } else if (Array.isArray(config.stages) && config.stages.some(stage => (stage && stage.type ? stage.type : stage) === 'gallery')) {
+            errors.push('the "gallery" stage needs "gallery" photos');
+        }
+        errors.push(...ConfigLoader.validatePhysics(config.physics));
+        
+        if (!ConfigLoader.isPlainObject(config.renderer)) {
+            errors.push('"renderer" must be an object');
+        } else {
+            if (typeof config.renderer.worker !== 'boolean') {
+                errors.push('"renderer.worker" must be true or false');
+            }
+            if (typeof config.renderer.frameBudget !== 'number' || !(config.renderer.frameBudget > 0)) {
+                errors.push('"renderer.frameBudget" must be a positive number of milliseconds');
+            }
+        }
+        
+        if (!ConfigLoader.isPlainObject(config.timings)) {
+            errors.push('"timings" must be an object');
+        } else {
+            Object.keys(DEFAULT_CONFIG.timings).forEach(stage => {
+                const value = config.timings[stage];
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                    errors.push(`"timings.${stage}" must be a duration in milliseconds`);
+                }
+            });
+        }
+        
+        if (config.music !== null) {
+            errors.push(...ConfigLoader.validateMusic(config.music));
+        }
+        
+        if (config.gate !== null) {
+            errors.push(...ConfigLoader.validateGate(config.gate));
+        }
+        
+        if (config.reply !== null) {
+            errors.push(...ConfigLoader.validateReply(config.reply));
+        }
+        
+        return errors;
+    }
+    
+    static validateChapters(chapters, shapeNames) {
+        if (!Array.isArray(chapters)) {
+            return ['"chapters" must be an array of chapters'];
+        }
+        const errors = [];
+        chapters.forEach((chapter, index) => {
+            const name = `chapters[${index}]`;
+            if (!ConfigLoader.isPlainObject(chapter)) {
+                errors.push(`"${name}" must be an object with a title and a letter`);
+                return;
+            }
+            if (!ConfigLoader.isText(chapter.title)) {
+                errors.push(`"${name}.title" must be a non-empty string`);
+            }
+            if (!Array.isArray(chapter.letter) || chapter.letter.length === 0 || !chapter.letter.every(ConfigLoader.isText)) {
+                errors.push(`"${name}.letter" must be a non-empty array of paragraphs`);
+            }
+            if (chapter.date !== undefined && !ConfigLoader.isText(chapter.date)) {
+                errors.push(`"${name}.date" must be a date like "2024-06-01" or a non-empty string`);
+            }
+            if (chapter.photo !== undefined) {
+                const photo = ConfigLoader.isPlainObject(chapter.photo) ? chapter.photo : { src: chapter.photo };
+                if (!ConfigLoader.isText(photo.src) || (photo.alt !== undefined && typeof photo.alt !== 'string')) {
+                    errors.push(`"${name}.photo" must be an image URL or { "src": URL, "alt": text }`);
+                }
+            }
+            if (chapter.effect !== undefined && !EFFECT_REGISTRY.has(chapter.effect)) {
+                errors.push(`"${name}.effect" must be one of ${effectNames().join(', ')}, got ${JSON.stringify(chapter.effect)}`);
+            }
+            if (chapter.theme !== undefined && !THEME_CHOICES.includes(chapter.theme)) {
+                errors.push(`"${name}.theme" must be one of ${THEME_CHOICES.join(', ')}, got ${JSON.stringify(chapter.theme)}`);
+            }
+            if (chapter.palette !== undefined
+                && !(Array.isArray(chapter.palette) && chapter.palette.length > 0 && chapter.palette.every(ConfigLoader.isColor))) {
+                errors.push(`"${name}.palette" must be a non-empty array of CSS colors`);
+            }
+            if (chapter.shapes !== undefined
+                && !(Array.isArray(chapter.shapes) && chapter.shapes.length > 0 && chapter.shapes.every(shape => shapeNames.includes(shape)))) {
+                errors.push(`"${name}.shapes" must be a non-empty array of ${shapeNames.join(', ')}`);
+            }
+        });
+        return errors;
+    }
+    
+    static validateGate(gate) {
+        if (!ConfigLoader.isPlainObject(gate)) {
+            return ['"gate" must be null or an object'];
+        }
+        const errors = [];
+        if (gate.unlock === undefined && gate.question === undefined) {
+            errors.push('"gate" needs an "unlock" time, a "question" or both');
+        }
+        if (gate.unlock !== undefined && UnlockGate.parseTime(gate.unlock) === null) {
+            errors.push(`"gate.unlock" must be a date and time like "2026-02-14T09:00", got ${JSON.stringify(gate.unlock)}`);
+        }
+        if (gate.question !== undefined) {
+            if (!ConfigLoader.isText(gate.question)) {
+                errors.push('"gate.question" must be a non-empty string');
+            }
+            if (typeof gate.answerHash !== 'string' || !/^[0-9a-f]{64}$/i.test(gate.answerHash)) {
+                errors.push('"gate.answerHash" must be the SHA-256 of the answer in hex, see UnlockGate.hash()');
+            }
+        } else if (gate.answerHash !== undefined || gate.hint !== undefined) {
+            errors.push('"gate.answerHash" and "gate.hint" need a "question"');
+        }
+        if (gate.hint !== undefined && typeof gate.hint !== 'string') {
+            errors.push('"gate.hint" must be a string');
+        }
+        return errors;
+    }
+    
+    static validateReply(reply) {
+        if (!ConfigLoader.isPlainObject(reply)) {
+            return ['"reply" must be null or an object'];
+        }
+        const errors = [];
+        if (reply.reactions !== undefined && !(Array.isArray(reply.reactions) && reply.reactions.every(ConfigLoader.isText))) {
+            errors.push('"reply.reactions" must be an array of emoji');
+        }
+        if (reply.notice !== undefined && !ConfigLoader.isText(reply.notice)) {
+            errors.push('"reply.notice" must be a non-empty string');
+        }
+        if (reply.storage !== undefined) {
+            const storage = typeof reply.storage === 'string' ? { type: reply.storage } : reply.storage;
+            const Store = ConfigLoader.isPlainObject(storage) ? REPLY_STORES.get(storage.type) : undefined;
+            if (Store) {
+                errors.push(...Store.validate(storage));
+            } else {
+                errors.push(`"reply.storage" must be one of ${[...REPLY_STORES.keys()].join(', ')} or an object with one as its "type", got ${JSON.stringify(reply.storage)}`);
+            }
+        }
+        return errors;
+    }
+    
+    static validateMusic(music) {
+        const isSourceList = src => [].concat(src).length > 0 && [].concat(src).every(ConfigLoader.isText);
+        if (!ConfigLoader.isPlainObject(music) || !isSourceList(music.src)) {
+            return ['"music" must be null or an object with a "src" URL or list of URLs'];
+        }
+        
+        const errors = [];
+        if (music.type !== undefined && typeof music.type !== 'string') {
+            errors.push('"music.type" must be a MIME type string');
+        }
+        if (music.lyrics !== null && !ConfigLoader.isText(music.lyrics)) {
+            errors.push('"music.lyrics" must be null or the URL of an LRC or WebVTT file');
+        }
+        if (!Array.isArray(music.playlist)) {
+            errors.push('"music.playlist" must be a list of tracks');
+        } else {
+            music.playlist.forEach((track, index) => {
+                const src = ConfigLoader.isPlainObject(track) ? track.src : track;
+                if (!isSourceList(src)) {
+                    errors.push(`"music.playlist[${index}]" must be a URL, a list of URLs or an object with a "src"`);
+                    return;
+                }
+                if (!ConfigLoader.isPlainObject(track)) {
+                    return;
+                }
+                if (track.type !== undefined && typeof track.type !== 'string') {
+                    errors.push(`"music.playlist[${index}].type" must be a MIME type string`);
+                }
+                if (track.lyrics !== undefined && !ConfigLoader.isText(track.lyrics)) {
+                    errors.push(`"music.playlist[${index}].lyrics" must be the URL of an LRC or WebVTT file`);
+                }
+            });
+        }
+        if (typeof music.volume !== 'number' || !(music.volume >= 0 && music.volume <= 1)) {
+            errors.push('"music.volume" must be a number from 0 to 1');
+        }
+        ['fadeIn', 'crossfade'].forEach(field => {
+            if (typeof music[field] !== 'number' || !Number.isFinite(music[field]) || music[field] < 0) {
+                errors.push(`"music.${field}" must be a duration in milliseconds`);
+            }
+        });
+        ['autoplay', 'reactive'].forEach(field => {
+            if (typeof music[field] !== 'boolean') {
+                errors.push(`"music.${field}" must be true or false`);
+            }
+        });
+        return errors;
+    }
+    
+    static validateCustomShapes(customShapes) {
+        if (!ConfigLoader.isPlainObject(customShapes)) {
+            return ['"customShapes" must be an object of named shapes'];
+        }
+        const errors = [];
+        Object.entries(customShapes).forEach(([name, shape]) => {
+            const field = (suffix = '') => `"customShapes.${name}${suffix}"`;
+            if (BUILT_IN_SHAPES.has(name)) {
+                errors.push(`${field()} would replace a built-in shape, pick another name`);
+            } else if (!ConfigLoader.isPlainObject(shape) || ('text' in shape) === ('path' in shape)) {
+                errors.push(`${field()} must have either "text" or "path"`);
+            } else if ('text' in shape) {
+                if (!ConfigLoader.isText(shape.text) || [...shape.text].length > 8) {
+                    errors.push(`${field('.text')} must be 1 to 8 characters`);
+                }
+                if (shape.font !== undefined && typeof shape.font !== 'string') {
+                    errors.push(`${field('.font')} must be a CSS font family`);
+                }
+            } else {
+                // Path2D silently stops at the first bad command, so reject anything that isn't path data
+                if (typeof shape.path !== 'string' || !/^\s*[Mm][MmLlHhVvCcSsQqTtAaZz0-9eE.,+\-\s]*$/.test(shape.path)) {
+                    errors.push(`${field('.path')} must be SVG path data starting with M`);
+                }
+                if (shape.viewBox !== undefined && !(typeof shape.viewBox === 'number' && shape.viewBox > 0)) {
+                    errors.push(`${field('.viewBox')} must be a positive number`);
+                }
+            }
+        });
+        return errors;
+    }
+    
+    static validatePhysics(physics) {
+        if (!ConfigLoader.isPlainObject(physics)) {
+            return ['"physics" must be an object'];
+        }
+        const errors = [];
+        if (!POINTER_MODES.includes(physics.pointer)) {
+            errors.push(`"physics.pointer" must be one of ${POINTER_MODES.join(', ')}, got ${JSON.stringify(physics.pointer)}`);
+        }
+        ['pointerRadius', 'pointerStrength'].forEach(name => {
+            const value = physics[name];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                errors.push(`"physics.${name}" must be a number of at least 0`);
+            }
+        });
+        ['gravity', 'wind'].forEach(name => {
+            if (typeof physics[name] !== 'number' || !Number.isFinite(physics[name])) {
+                errors.push(`"physics.${name}" must be a number`);
+            }
+        });
+        ['bursts', 'collisions'].forEach(name => {
+            if (typeof physics[name] !== 'boolean') {
+                errors.push(`"physics.${name}" must be true or false`);
+            }
+        });
+        return errors;
+    }
+    
+    static validateStages(stages) {
+        if (!Array.isArray(stages) || stages.length === 0) {
+            return ['"stages" must be a non-empty array'];
+        }
+        
+        const errors = [];
+        const types = stages.map((stage, index) => {
+            const type = ConfigLoader.isPlainObject(stage) ? stage.type : stage;
+            if (!STAGE_TYPES.includes(type)) {
+                errors.push(`"stages[${index}]" must be one of ${STAGE_TYPES.join(', ')} or { type, duration }, got ${JSON.stringify(type)}`);
+            }
+            if (ConfigLoader.isPlainObject(stage)) {
+                if (stage.duration !== undefined && (!Number.isFinite(stage.duration) || stage.duration < 0)) {
+                    errors.push(`"stages[${index}].duration" must be a duration in milliseconds`);
+                }
+                Object.keys(stage).filter(key => key !== 'type' && key !== 'duration').forEach(key => {
+                    errors.push(`"stages[${index}]" can only set "type" and "duration", got "${key}"`);
+                });
+            }
+            return type;
+        });
+        
+        types.forEach((type, index) => {
+            if (types.indexOf(type) !== index) {
+                errors.push(`"stages" lists "${type}" more than once`);
+            }
+        });
+        if (types[types.length - 1] !== 'final') {
+            errors.push('"stages" must end with "final"');
+        }
+        return errors;
+    }
+    
+    static validateGallery(gallery) {
+        if (!ConfigLoader.isPlainObject(gallery) || !Array.isArray(gallery.photos) || gallery.photos.length === 0) {
+            return ['"gallery" must be null or an object with a non-empty "photos" array'];
+        }
+        const errors = [];
+        gallery.photos.forEach((entry, index) => {
+            const photo = ConfigLoader.isPlainObject(entry) ? entry : { src: entry };
+            const isValid = ConfigLoader.isText(photo.src)
+                && ['caption', 'alt'].every(field => photo[field] === undefined || typeof photo[field] === 'string');
+            if (!isValid) {
+                errors.push(`"gallery.photos[${index}]" must be an image URL or { "src": URL, "caption": text, "alt": text }`);
+            }
+        });
+        if (gallery.layout !== undefined && !GALLERY_LAYOUTS.includes(gallery.layout)) {
+            errors.push(`"gallery.layout" must be one of ${GALLERY_LAYOUTS.join(', ')}, got ${JSON.stringify(gallery.layout)}`);
+        }
+        if (gallery.interval !== undefined && !(typeof gallery.interval === 'number' && gallery.interval > 0)) {
+            errors.push('"gallery.interval" must be a positive number of milliseconds');
+        }
+        return errors;
+    }
+    
+    static validateTerminal(terminal) {
+        if (!ConfigLoader.isPlainObject(terminal)) {
+            return ['"terminal" must be an object'];
+        }
+        
+        const errors = [];
+        ['title', 'address'].forEach(field => {
+            if (typeof terminal[field] !== 'string') {
+                errors.push(`"terminal.${field}" must be a string`);
+            }
+        });
+        if (!Array.isArray(terminal.script) || terminal.script.length === 0) {
+            errors.push('"terminal.script" must be a non-empty array of steps');
+            return errors;
+        }
+        
+        terminal.script.forEach((step, index) => {
+            const path = `terminal.script[${index}]`;
+            if (!ConfigLoader.isPlainObject(step)) {
+                errors.push(`"${path}" must be an object`);
+                return;
+            }
+            const types = TERMINAL_STEP_TYPES.filter(type => step[type] !== undefined);
+            if (types.length !== 1) {
+                errors.push(`"${path}" must have exactly one of ${TERMINAL_STEP_TYPES.join(', ')}`);
+                return;
+            }
+            const lines = types[0] === 'output' && Array.isArray(step.output) ? step.output : [step[types[0]]];
+            if (!lines.every(line => typeof line === 'string')) {
+                errors.push(`"${path}.${types[0]}" must be ${types[0] === 'output' ? 'a string or an array of strings' : 'a string'}`);
+            }
+            ['delay', 'duration'].forEach(field => {
+                if (step[field] !== undefined && (typeof step[field] !== 'number' || step[field] < 0)) {
+                    errors.push(`"${path}.${field}" must be a duration in milliseconds`);
+                }
+            });
+            if (step.style !== undefined && !TERMINAL_STYLES.includes(step.style)) {
+                errors.push(`"${path}.style" must be one of ${TERMINAL_STYLES.join(', ')}`);
+            }
+            if (step.done !== undefined && typeof step.done !== 'string') {
+                errors.push(`"${path}.done" must be a string`);
+            }
+        });
+        return errors;
+    }
+    
+    static isColor(value) {
+        if (typeof value !== 'string') {
+            return false;
+        }
+        if (window.CSS && CSS.supports) {
+            return CSS.supports('color', value);
+        }
+        return /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.+\))$/i.test(value.trim());
+    }
+    
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    static isText(value) {
+        return typeof value === 'string' && value.trim() !== '';
+    }
+}
+
+// Share Links
+// A surprise can travel inside the URL fragment (#s=...) so one hosted copy of
+// the page serves every recipient. The payload carries a schema version; older
+// payloads are upgraded step by step through SHARE_LINK_MIGRATIONS.
+const SHARE_LINK_VERSION = 1;
+const SHARE_LINK_PREFIX = '#s=';
+// Longer links get truncated by chat apps and mail clients
+const MAX_SHARE_LINK_LENGTH = 8000;
+// Guards against payloads that inflate to something unreasonable
+const MAX_SHARE_PAYLOAD_BYTES = 256 * 1024;
+
+// Keyed by the version a migration upgrades from, each returns the next version's payload
+const SHARE_LINK_MIGRATIONS = {};
+
+class ShareLink {
+    static hasPayload() {
+        return window.location.hash.startsWith(SHARE_LINK_PREFIX);
+    }
+    
+    // Builds a link to this page that opens the given config. Only fields that
+    // differ from the defaults are stored, plus the ones a custom config needs.
+    static async create(config, baseUrl = window.location.href) {
+        const payload = { v: SHARE_LINK_VERSION, config: ShareLink.compact(config) };
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+        
+        let encoded;
+        if (window.CompressionStream) {
+            encoded = 'z' + ShareLink.toBase64Url(await ShareLink.pipe(bytes, new CompressionStream('deflate-raw')));
+        } else {
+            encoded = 'j' + ShareLink.toBase64Url(bytes);
+        }
+        
+        const url = new URL(baseUrl);
+        url.hash = SHARE_LINK_PREFIX.slice(1) + encoded;
+        const link = url.toString();
+        if (link.length > MAX_SHARE_LINK_LENGTH) {
+            throw new Error(`Share link is ${link.length} characters, the limit is ${MAX_SHARE_LINK_LENGTH}. Shorten the letter or host the config and use ?config= instead.`);
+        }
+        return link;
+    }
+    
+    // Decodes a #s= fragment into a custom config object (not yet validated)
+    static async read(hash) {
+        if (hash.length > MAX_SHARE_LINK_LENGTH) {
+            throw new Error(`link is longer than ${MAX_SHARE_LINK_LENGTH} characters`);
+        }
+        
+        const data = hash.slice(SHARE_LINK_PREFIX.length);
+        const codec = data.charAt(0);
+        let bytes;
+        try {
+            bytes = ShareLink.fromBase64Url(data.slice(1));
+        } catch (error) {
+            throw new Error('link is not valid base64');
+        }
+        
+        if (codec === 'z') {
+            if (!window.DecompressionStream) {
+                throw new Error('this browser cannot decompress share links');
+            }
+            try {
+                bytes = await ShareLink.pipe(bytes, new DecompressionStream('deflate-raw'), MAX_SHARE_PAYLOAD_BYTES);
+            } catch (error) {
+                throw new Error(`link could not be decompressed: ${error.message}`);
+            }
+        } else if (codec !== 'j') {
+            throw new Error(`unknown encoding "${codec}"`);
+        }
+        
+        let payload;
+        try {
+            payload = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('link does not contain valid JSON');
+        }
+        return ShareLink.migrate(payload).config;
+    }
+    
+    static migrate(payload) {
+        if (!ConfigLoader.isPlainObject(payload) || !Number.isInteger(payload.v)) {
+            throw new Error('link has no schema version');
+        }
+        if (payload.v > SHARE_LINK_VERSION) {
+            throw new Error(`link was made with a newer version (${payload.v}) of this page`);
+        }
+        
+        let current = payload;
+        while (current.v < SHARE_LINK_VERSION) {
+            const upgrade = SHARE_LINK_MIGRATIONS[current.v];
+            if (!upgrade) {
+                throw new Error(`no migration from schema version ${current.v}`);
+            }
+            current = { ...upgrade(current), v: current.v + 1 };
+        }
+        if (!ConfigLoader.isPlainObject(current.config)) {
+            throw new Error('link has no config');
+        }
+        return current;
+    }
+    
+    static compact(config) {
+        const compacted = {};
+        Object.keys(DEFAULT_CONFIG).forEach(key => {
+            const changed = JSON.stringify(config[key]) !== JSON.stringify(DEFAULT_CONFIG[key]);
+            if (changed || REQUIRED_CONFIG_FIELDS.includes(key)) {
+                compacted[key] = config[key];
+            }
+        });
+        return compacted;
+    }
+    
+    // Runs bytes through a (de)compression stream, optionally capping the output size
+    static async pipe(bytes, transform, limit = Infinity) {
+        const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+        const chunks = [];
+        let length = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            length += value.length;
+            if (length > limit) {
+                reader.cancel();
+                throw new Error(`payload exceeds ${limit} bytes`);
+            }
+            chunks.push(value);
+        }
+        
+        const result = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return result;
+    }
+    
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+const escapeHTML = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// A delay on the scheduler, so it holds while the page is hidden. Rejects with signal.reason
+// (an AbortError for a plain abort()) if the signal fires first, so a stage's whole chain of
+// waits unwinds when the recipient jumps elsewhere
+const wait = (ms, signal) => scheduler.wait(ms, signal);
+
+const isAbortError = (error) => error && error.name === 'AbortError';
+
+// Seeded stand-in for Math.random (mulberry32), so a render can be repeated exactly
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    scheduler.setTimer(() => URL.revokeObjectURL(url), 0);
+};
+
+// Replaces {{name}} placeholders, leaving unknown ones untouched
+const fillTemplate = (text, values) => text.replace(/\{\{([\w.]+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+
+// Reads a message out to screen readers through the shared live region
+const announce = (message) => {
+    const region = document.getElementById('announcer');
+    if (!region) {
+        return;
+    }
+    // Clearing first makes repeating the same message count as a change
+    region.textContent = '';
+    scheduler.requestFrame(() => {
+        region.textContent = message;
+    });
+};
+
+// The letter's paragraphs and signature as HTML, one block each
+const renderLetterBlocks = (paragraphs, signature) => {
+    const blocks = signature ? [...paragraphs, signature] : paragraphs;
+    return blocks.map(block => escapeHTML(block).replace(/\n/g, '<br>'));
+};
+
+// Paragraphs are separated by a blank line, like the original hand-written markup
+const renderLetterHTML = (paragraphs, signature) => renderLetterBlocks(paragraphs, signature).join('<br><br>');
+
+// Scheduler Class
+// Owns timers and animation frames. Each component takes a group() of the shared scheduler and
+// schedules through it, so all of its pending work can be cancelled at once (cancelAll) and
+// held and resumed (pause / resume). Everything is held while the page is hidden; timers keep
+// the time they had left and continue where they stopped. setRate speeds a group's timers up
+// or slows them down, waiting ones included
+let scheduledIds = 0;
+
+class Scheduler {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.children = new Set();
+        this.timers = new Map();
+        this.frames = new Map();
+        this.paused = false;
+        this.hidden = false;
+        this.rate = 1;
+        if (parent) {
+            parent.children.add(this);
+        } else if (typeof document !== 'undefined') {
+            this.hidden = document.hidden;
+            this.handleVisibility = () => this.setHidden(document.hidden);
+            document.addEventListener('visibilitychange', this.handleVisibility);
+        }
+        this.held = this.isHeld();
+    }
+    
+    group() {
+        return new Scheduler(this);
+    }
+    
+    isHeld() {
+        return this.paused || this.hidden || Boolean(this.parent && this.parent.isHeld());
+    }
+    
+    setHidden(hidden) {
+        this.hidden = hidden;
+        this.refresh();
+    }
+    
+    pause() {
+        this.paused = true;
+        this.refresh();
+    }
+    
+    resume() {
+        this.paused = false;
+        this.refresh();
+    }
+    
+    refresh() {
+        const held = this.isHeld();
+        if (held !== this.held) {
+            this.held = held;
+            this.timers.forEach(timer => (held ? this.holdTimer(timer) : this.armTimer(timer)));
+            this.frames.forEach(frame => (held ? cancelAnimationFrame(frame.handle) : this.armFrame(frame)));
+        }
+        this.children.forEach(child => child.refresh());
+    }
+    
+    // 2 runs this group's timers twice as fast, 0.5 half as fast
+    setRate(rate) {
+        if (rate === this.rate) {
+            return;
+        }
+        if (!this.held) {
+            this.timers.forEach(timer => this.holdTimer(timer));
+        }
+        this.timers.forEach(timer => {
+            timer.remaining *= this.rate / rate;
+        });
+        this.rate = rate;
+        if (!this.held) {
+            this.timers.forEach(timer => this.armTimer(timer));
+        }
+    }
+    
+    setTimer(callback, ms = 0) {
+        const timer = { id: ++scheduledIds, callback, remaining: Math.max(0, ms) / this.rate, startedAt: 0, handle: null };
+        this.timers.set(timer.id, timer);
+        if (!this.held) {
+            this.armTimer(timer);
+        }
+        return timer.id;
+    }
+    
+    armTimer(timer) {
+        timer.startedAt = performance.now();
+        timer.handle = setTimeout(() => {
+            this.timers.delete(timer.id);
+            timer.callback();
+        }, timer.remaining);
+    }
+    
+    holdTimer(timer) {
+        clearTimeout(timer.handle);
+        timer.remaining = Math.max(0, timer.remaining - (performance.now() - timer.startedAt));
+    }
+    
+    clearTimer(id) {
+        const timer = this.timers.get(id);
+        if (timer) {
+            clearTimeout(timer.handle);
+            this.timers.delete(id);
+        }
+    }
+    
+    requestFrame(callback) {
+        const frame = { id: ++scheduledIds, callback, handle: null };
+        this.frames.set(frame.id, frame);
+        if (!this.held) {
+            this.armFrame(frame);
+        }
+        return frame.id;
+    }
+    
+    armFrame(frame) {
+        frame.handle = requestAnimationFrame(time => {
+            this.frames.delete(frame.id);
+            frame.callback(time);
+        });
+    }
+    
+    cancelFrame(id) {
+        const frame = this.frames.get(id);
+        if (frame) {
+            cancelAnimationFrame(frame.handle);
+            this.frames.delete(id);
+        }
+    }
+    
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => {
+                this.clearTimer(timer);
+                reject(signal.reason);
+            };
+            const timer = this.setTimer(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+    
+    // Cancels everything pending here and in child groups
+    cancelAll() {
+        this.timers.forEach(timer => clearTimeout(timer.handle));
+        this.frames.forEach(frame => cancelAnimationFrame(frame.handle));
+        this.timers.clear();
+        this.frames.clear();
+        this.children.forEach(child => child.cancelAll());
+    }
+    
+    destroy() {
+        this.cancelAll();
+        this.children.forEach(child => child.destroy());
+        if (this.parent) {
+            this.parent.children.delete(this);
+        }
+        if (this.handleVisibility) {
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+        }
+    }
+}
+
+const scheduler = new Scheduler();
+
+// Motion Policy Class
+// Single source of truth for "should things move": the OS reduced-motion setting
+// or the page's own calm mode. Subsystems subscribe and adapt when it changes.
+const CALM_MODE_KEY = 'surprise-calm-mode';
+// Fraction of normal particle speed used under reduced motion
+const REDUCED_PARTICLE_SPEED = 0.08;
+
+class MotionPolicy {
+    constructor() {
+        this.listeners = new Set();
+        this.query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.calm = MotionPolicy.readCalmSetting();
+        
+        this.handleChange = () => this.notify();
+        if (this.query) {
+            if (this.query.addEventListener) {
+                this.query.addEventListener('change', this.handleChange);
+            } else if (this.query.addListener) {
+                this.query.addListener(this.handleChange);
+            }
+        }
+        this.applyClass();
+    }
+    
+    get reduced() {
+        return this.calm || Boolean(this.query && this.query.matches);
+    }
+    
+    // Calls the listener now and on every change; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.reduced);
+        return () => this.listeners.delete(listener);
+    }
+    
+    setCalm(calm) {
+        this.calm = calm;
+        try {
+            localStorage.setItem(CALM_MODE_KEY, calm ? 'on' : 'off');
+        } catch (error) {
+            // Storage can be unavailable (private mode, file://), calm mode then lasts for this visit
+        }
+        this.notify();
+    }
+    
+    notify() {
+        this.applyClass();
+        this.listeners.forEach(listener => listener(this.reduced));
+    }
+    
+    // Lets the stylesheet follow calm mode as well as the OS setting
+    applyClass() {
+        document.documentElement.classList.toggle('reduced-motion', this.reduced);
+    }
+    
+    destroy() {
+        if (this.query) {
+            if (this.query.removeEventListener) {
+                this.query.removeEventListener('change', this.handleChange);
+            } else if (this.query.removeListener) {
+                this.query.removeListener(this.handleChange);
+            }
+        }
+        this.listeners.clear();
+    }
+    
+    static readCalmSetting() {
+        try {
+            return localStorage.getItem(CALM_MODE_KEY) === 'on';
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+const motionPolicy = new MotionPolicy();
+
+// Themes
+// Everything that dresses a surprise up, in one place: page colors and fonts (set as CSS
+// custom properties on <html>), particle colors and shapes, the heart glyph and the click
+// ripple. background and stage are the three stops of the page and stage 3 gradients; each
+// theme's name is the catalog's theme.<name>
+const FONT_STACKS = {
+    script: '\'Dancing Script\', \'Segoe Script\', \'Brush Script MT\', \'Apple Chancery\', cursive',
+    serif: '\'Playfair Display\', Georgia, \'Times New Roman\', serif',
+    rounded: '\'Trebuchet MS\', \'Segoe UI\', system-ui, -apple-system, sans-serif',
+    sans: 'system-ui, -apple-system, \'Segoe UI\', Roboto, \'Helvetica Neue\', sans-serif'
+};
+
+const THEMES = {
+    romantic: {
+        heart: '❤️',
+        palette: ['#ff6b9d', '#c44569', '#f8b500', '#ff6b35', '#feca57'],
+        shapes: ['heart', 'circle', 'star'],
+        accent: '#ff6b9d',
+        accentDeep: '#c44569',
+        accentSoft: '#ff8fab',
+        background: ['#667eea', '#764ba2', '#f093fb'],
+        stage: ['#ff6b9d', '#c44569', '#ff8fab'],
+        fonts: { script: FONT_STACKS.script, serif: FONT_STACKS.serif }
+    },
+    birthday: {
+        heart: '🎂',
+        palette: ['#ff595e', '#ffca3a', '#8ac926', '#1982c4', '#6a4c93'],
+        shapes: ['star', 'sparkle', 'circle', 'ring'],
+        accent: '#ff8c42',
+        accentDeep: '#e4572e',
+        accentSoft: '#ffc15e',
+        background: ['#4facfe', '#8e7cf0', '#f78ca0'],
+        stage: ['#ff9a8b', '#ff6a88', '#ffc15e'],
+        fonts: { script: FONT_STACKS.script, serif: FONT_STACKS.rounded }
+    },
+    anniversary: {
+        heart: '💍',
+        palette: ['#d4af37', '#f3e5ab', '#9b2335', '#c9a227', '#ffffff'],
+        shapes: ['ring', 'heart', 'sparkle'],
+        accent: '#d4af37',
+        accentDeep: '#8c1c2c',
+        accentSoft: '#f3e5ab',
+        background: ['#2c1a2e', '#5b2a3c', '#9b2335'],
+        stage: ['#6d1a36', '#9b2335', '#c9a227'],
+        fonts: { script: FONT_STACKS.script, serif: FONT_STACKS.serif }
+    },
+    friendship: {
+        heart: '💛',
+        palette: ['#ffd166', '#06d6a0', '#118ab2', '#ef476f', '#f78c6b'],
+        shapes: ['star', 'circle', 'sparkle'],
+        accent: '#06d6a0',
+        accentDeep: '#118ab2',
+        accentSoft: '#7be0c3',
+        background: ['#36d1dc', '#5b86e5', '#a18cd1'],
+        stage: ['#11998e', '#38c172', '#ffd166'],
+        fonts: { script: FONT_STACKS.script, serif: FONT_STACKS.sans }
+    },
+    night: {
+        heart: '💜',
+        palette: ['#a5b4fc', '#c4b5fd', '#f0abfc', '#fde68a', '#e0e7ff'],
+        shapes: ['star', 'sparkle', 'circle'],
+        accent: '#a78bfa',
+        accentDeep: '#4c1d95',
+        accentSoft: '#c4b5fd',
+        background: ['#0f172a', '#1e1b4b', '#312e81'],
+        stage: ['#1e1b4b', '#4c1d95', '#6d28d9'],
+        fonts: { script: FONT_STACKS.script, serif: FONT_STACKS.serif }
+    }
+};
+
+// 'auto' is night when the system prefers a dark color scheme and romantic otherwise
+const THEME_CHOICES = ['auto', ...Object.keys(THEMES)];
+
+// '#ff6b9d' → '255, 107, 157', for rgba(var(--accent-rgb), alpha) in the stylesheet
+const hexToRGB = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16)).join(', ');
+
+// Theme Manager Class
+// Single source of truth for the theme in use, like MotionPolicy is for motion. Subsystems
+// subscribe and restyle when it changes, so a theme can be switched without reloading
+class ThemeManager {
+    constructor() {
+        this.listeners = new Set();
+        this.choice = 'auto';
+        this.query = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        
+        this.handleChange = () => {
+            if (this.choice === 'auto') {
+                this.notify();
+            }
+        };
+        if (this.query) {
+            if (this.query.addEventListener) {
+                this.query.addEventListener('change', this.handleChange);
+            } else if (this.query.addListener) {
+                this.query.addListener(this.handleChange);
+            }
+        }
+        this.apply();
+    }
+    
+    get name() {
+        return this.resolve(this.choice);
+    }
+    
+    get theme() {
+        return THEMES[this.name];
+    }
+    
+    // The theme a choice stands for right now
+    resolve(choice) {
+        if (choice !== 'auto') {
+            return choice;
+        }
+        return this.query && this.query.matches ? 'night' : 'romantic';
+    }
+    
+    // Calls the listener now and on every change; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.theme);
+        return () => this.listeners.delete(listener);
+    }
+    
+    set(choice) {
+        if (choice === this.choice) {
+            return;
+        }
+        this.choice = choice;
+        this.notify();
+    }
+    
+    notify() {
+        this.apply();
+        this.listeners.forEach(listener => listener(this.theme));
+    }
+    
+    apply() {
+        const { theme } = this;
+        const root = document.documentElement;
+        const gradient = stops => `linear-gradient(135deg, ${stops[0]} 0%, ${stops[1]} 50%, ${stops[2]} 100%)`;
+        const properties = {
+            '--primary-gradient': gradient(theme.background),
+            '--secondary-gradient': gradient(theme.stage),
+            '--accent': theme.accent,
+            '--accent-rgb': hexToRGB(theme.accent),
+            '--accent-deep': theme.accentDeep,
+            '--accent-soft': theme.accentSoft,
+            '--font-script': theme.fonts.script,
+            '--font-serif': theme.fonts.serif
+        };
+        Object.entries(properties).forEach(([name, value]) => root.style.setProperty(name, value));
+        root.dataset.theme = this.name;
+        
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) {
+            meta.content = theme.accentDeep;
+        }
+    }
+    
+    destroy() {
+        if (this.query) {
+            if (this.query.removeEventListener) {
+                this.query.removeEventListener('change', this.handleChange);
+            } else if (this.query.removeListener) {
+                this.query.removeListener(this.handleChange);
+            }
+        }
+        this.listeners.clear();
+    }
+    
+    // ?theme=<name> picks the theme for this visit, over the config's
+    static requested() {
+        const choice = new URLSearchParams(window.location.search).get('theme');
+        if (!choice) {
+            return null;
+        }
+        if (!THEME_CHOICES.includes(choice)) {
+            console.warn(`Ignoring unknown theme "${choice}", use one of ${THEME_CHOICES.join(', ')}`);
+            return null;
+        }
+        return choice;
+    }
+}
+
+const themeManager = new ThemeManager();
+
+// Locale
+// Every string the page itself shows or reads out, by key. English is built in, other
+// languages load from locales/<lang>.json and a config's strings replace single entries;
+// whatever a catalog leaves out falls back to English. {{name}} placeholders are filled in
+const STRINGS = {
+    'stage.editor': 'Editor',
+    'stage.terminal': 'Terminal',
+    'stage.gallery': 'Photos',
+    'stage.final': 'Surprise',
+    'stage.goTo': 'Go to stage {{number}}: {{label}}',
+    'nav.label': 'Stage navigation',
+    'nav.back': 'Previous stage',
+    'nav.backTitle': 'Back',
+    'nav.skip': 'Skip this stage',
+    'nav.skipTitle': 'Skip',
+    'nav.replay': 'Replay from the start',
+    'nav.replayTitle': 'Replay',
+    
+    'terminal.title': 'Terminal',
+    'terminal.starting': 'Starting dev server',
+    'terminal.running': 'Vite server running at:',
+    'terminal.ready': 'Ready in 2.1s',
+    'preview.loading': 'Loading...',
+    'preview.progress': 'Loading... {{percent}}%',
+    'preview.ready': 'Ready ❤',
+    
+    'controls.label': 'Media controls',
+    'controls.pause': 'Pause animation',
+    'controls.play': 'Play animation',
+    'controls.playTitle': 'Play/Pause (Space)',
+    'controls.speed': 'Change animation speed (currently {{speed}}×)',
+    'controls.speedTitle': 'Speed (+/−)',
+    'controls.effect': 'Cycle animation effect',
+    'controls.effectTitle': 'Next Effect (→)',
+    'controls.music': 'Toggle background music',
+    'controls.musicTitle': 'Music (M)',
+    'controls.calm': 'Calm mode (less motion)',
+    'controls.calmTitle': 'Calm mode',
+    'controls.calmOn': 'Calm mode is on',
+    'controls.calmSystem': 'Motion is already reduced by your system settings',
+    'controls.export': 'Save as a video or GIF',
+    'controls.exportTitle': 'Save (E)',
+    'controls.effects': 'Animation effects',
+    'music.prompt': '🎵 Tap to play the music',
+    
+    'announce.playing': 'Animation playing',
+    'announce.paused': 'Animation paused',
+    'announce.speed': 'Speed {{speed}}×',
+    'announce.effect': 'Effect: {{label}}',
+    'announce.musicOn': 'Music on',
+    'announce.musicOff': 'Music off',
+    'announce.calmOn': 'Calm mode on',
+    'announce.calmOff': 'Calm mode off',
+    'announce.theme': '{{label}} theme',
+    
+    'effect.fade': 'Fade',
+    'effect.typewriter': 'Typewriter',
+    'effect.morph': 'Morph',
+    'effect.scale': 'Scale',
+    'effect.rotate': 'Rotate',
+    'effect.combined': 'Combined',
+    'effect.karaoke': 'Karaoke',
+    'effect.karaoke.description': 'the letter follows the music',
+    'effect.button': '{{label}} effect',
+    'effect.buttonDescribed': '{{label}} effect, {{description}}',
+    
+    'theme.auto': 'Match the system (romantic or night)',
+    'theme.romantic': 'Romantic',
+    'theme.birthday': 'Birthday',
+    'theme.anniversary': 'Anniversary',
+    'theme.friendship': 'Friendship',
+    'theme.night': 'Night',
+    
+    'reader.label': 'Letter',
+    'reader.previous': 'Previous page',
+    'reader.next': 'Next page',
+    'reader.page': 'Page {{page}} of {{total}}',
+    
+    'gate.label': 'Locked surprise',
+    'gate.countdown': 'Something special opens in',
+    'gate.opens': 'Opens {{date}}',
+    'gate.days': 'Days',
+    'gate.hours': 'Hours',
+    'gate.minutes': 'Minutes',
+    'gate.seconds': 'Seconds',
+    'gate.answer': 'Your answer',
+    'gate.unlock': 'Unlock',
+    'gate.wrong': 'Not quite, try again 💭',
+    'gate.wrongAgain': 'So close… think back a little 💗',
+    'gate.hint': 'A little hint: {{hint}}',
+    'gate.unlocked': 'Unlocked ❤',
+    'gate.error': 'Your answer couldn\'t be checked, please reload the page and try again',
+    
+    'chapters.label': 'Chapters',
+    'chapters.goTo': 'Chapter {{number}}: {{title}}',
+    'chapters.announce': 'Chapter {{number}} of {{total}}: {{title}}',
+    
+    'gallery.label': 'Photos',
+    'gallery.previous': 'Previous photo',
+    'gallery.next': 'Next photo',
+    'gallery.photo': 'Photo {{number}}',
+    'gallery.position': 'Photo {{number}} of {{total}}',
+    'gallery.viewer': 'Photo viewer',
+    'gallery.close': 'Close',
+    
+    'reply.heading': 'Send a little something back',
+    'reply.reactions': 'Reactions',
+    'reply.react': 'React with {{emoji}}',
+    'reply.message': 'Your message',
+    'reply.placeholder': 'Write a few words back…',
+    'reply.send': 'Send',
+    'reply.consent': 'Keep my replies',
+    'reply.noticeLocal': 'Your reactions and message stay in this browser, and only once you tick the box. You can download them as a file.',
+    'reply.noticeRemote': 'Your reactions and message are sent to {{host}} for the person who made this, and only once you tick the box.',
+    'reply.download': 'Download replies',
+    'reply.saved': 'Saved ❤',
+    'reply.sent': 'Sent ❤',
+    'reply.queued': 'Couldn\'t send it yet, it will go out a little later',
+    'reply.offline': 'You\'re offline, it will be sent once you\'re back online',
+    'reply.sentLater': 'Your waiting replies have been sent ❤',
+    'reply.failed': 'That couldn\'t be saved, please try again',
+    
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.close': 'Close',
+    'shortcuts.space': 'Space',
+    'shortcuts.play': 'Play or pause the animation',
+    'shortcuts.effect': 'Previous or next effect (or page, while the letter has focus, and photo in the gallery)',
+    'shortcuts.speed': 'Faster or slower',
+    'shortcuts.music': 'Music on or off',
+    'shortcuts.skip': 'Skip to the next stage',
+    'shortcuts.chapter': 'Previous or next chapter',
+    'shortcuts.theme': 'Next theme',
+    'shortcuts.export': 'Save as a video or GIF',
+    'shortcuts.help': 'Show or hide this help',
+    
+    'export.title': 'Save this moment',
+    'export.format': 'Format',
+    'export.duration': 'Duration',
+    'export.resolution': 'Resolution',
+    'export.progress': 'Export progress',
+    'export.start': 'Export',
+    'export.close': 'Close',
+    'export.webm': 'Video (WebM)',
+    'export.gif': 'Animated GIF',
+    'export.unsupported': '{{label}} (not supported here)',
+    'export.seconds': '{{seconds}} seconds',
+    'export.portrait': '{{size}} (portrait)',
+    'export.rendering': 'Rendering…',
+    'export.saved': 'Saved ({{size}} MB).',
+    'export.finished': 'Export finished',
+    'export.cancelled': 'Export cancelled.',
+    'export.failed': 'Export failed in this browser. Try the GIF format.',
+    
+    'editor.label': 'Surprise editor',
+    'editor.heading': 'Edit your surprise',
+    'editor.title': 'Title',
+    'editor.subtitle': 'Subtitle',
+    'editor.letter': 'Letter',
+    'editor.letterHint': '(blank line between paragraphs)',
+    'editor.signature': 'Signature',
+    'editor.colors': 'Particle colors',
+    'editor.addColor': '+ Color',
+    'editor.color': 'Particle color',
+    'editor.removeColor': 'Remove color',
+    'editor.shapes': 'Particle shapes',
+    'editor.theme': 'Theme',
+    'editor.effect': 'Effect',
+    'editor.speed': 'Speed',
+    'editor.download': 'Download config',
+    'editor.share': 'Copy share link',
+    'editor.link': 'Share link',
+    'editor.downloaded': 'Config downloaded.',
+    'editor.copied': 'Share link copied to the clipboard.',
+    'editor.copyBelow': 'Copy the link below to share it.'
+};
+
+// Languages with a catalog in locales/, besides the built-in English
+const LOCALE_CATALOGS = ['es', 'ja', 'ar', 'he'];
+// Languages written right to left; the page mirrors for them
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'yi'];
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// Locale Class
+// The language in use: translates keys (t), marks up the document (lang, dir and the
+// data-i18n attributes in index.html) and splits text into graphemes and words the way
+// the language does, so the typewriter never cuts an emoji or a combined letter in half
+// and CJK and Thai text, which has no spaces, still reveals word by word
+class Locale {
+    constructor() {
+        this.lang = 'en';
+        this.strings = STRINGS;
+        this.segmenters = new Map();
+    }
+    
+    get base() {
+        return this.lang.split('-')[0].toLowerCase();
+    }
+    
+    get dir() {
+        return RTL_LANGUAGES.includes(this.base) ? 'rtl' : 'ltr';
+    }
+    
+    has(key) {
+        return key in this.strings;
+    }
+    
+    t(key, values = {}) {
+        return fillTemplate(this.has(key) ? this.strings[key] : key, values);
+    }
+    
+    // Picks the language (?lang=, then config.locale, where 'auto' means the browser's),
+    // loads its catalog and applies it. A catalog that can't be loaded leaves English in place
+    async load(config) {
+        const lang = Locale.requested() || (config.locale === 'auto' ? Locale.preferred() : config.locale);
+        let catalog = {};
+        const base = lang.split('-')[0].toLowerCase();
+        if (LOCALE_CATALOGS.includes(base)) {
+            try {
+                catalog = await Locale.fetchCatalog(base);
+            } catch (error) {
+                console.warn(`Strings for "${base}" unavailable, showing English:`, error.message);
+            }
+        }
+        this.use(lang, { ...catalog, ...config.strings });
+    }
+    
+    use(lang, strings = {}) {
+        this.lang = lang;
+        this.strings = { ...STRINGS, ...strings };
+        this.segmenters.clear();
+        this.apply();
+    }
+    
+    // data-i18n sets an element's text, data-i18n-label its aria-label and data-i18n-title its title
+    apply(root = document) {
+        document.documentElement.lang = this.lang;
+        document.documentElement.dir = this.dir;
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+    }
+    
+    // 1 for the arrow key pointing forward in the reading direction, -1 for the other one
+    arrowStep(key) {
+        const forward = this.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+        const back = this.dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+        return key === forward ? 1 : key === back ? -1 : 0;
+    }
+    
+    // null where Intl.Segmenter isn't supported
+    segmenter(granularity) {
+        if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+            return null;
+        }
+        if (!this.segmenters.has(granularity)) {
+            this.segmenters.set(granularity, new Intl.Segmenter(this.lang, { granularity }));
+        }
+        return this.segmenters.get(granularity);
+    }
+    
+    // User-perceived characters; code points where segmenting is unsupported
+    graphemes(text) {
+        const segmenter = this.segmenter('grapheme');
+        return segmenter ? Array.from(segmenter.segment(text), part => part.segment) : Array.from(text);
+    }
+    
+    // Words and the whitespace between them, like text.split(/(\s+)/). Punctuation and emoji
+    // stay with the word they follow, and a word needn't be followed by a space to end
+    words(text) {
+        const segmenter = this.segmenter('word');
+        if (!segmenter) {
+            return text.split(/(\s+)/);
+        }
+        const tokens = [];
+        let current = '';
+        let hasWord = false;
+        const flush = () => {
+            if (current) {
+                tokens.push(current);
+            }
+            current = '';
+            hasWord = false;
+        };
+        Array.from(segmenter.segment(text)).forEach(({ segment, isWordLike }) => {
+            if (/^\s+$/.test(segment)) {
+                flush();
+                tokens.push(segment);
+                return;
+            }
+            if (isWordLike && hasWord) {
+                flush();
+            }
+            current += segment;
+            hasWord = hasWord || isWordLike;
+        });
+        flush();
+        return tokens;
+    }
+    
+    static async fetchCatalog(base) {
+        const response = await fetch(`locales/${base}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    // ?lang=<tag> picks the language for this visit, over the config's
+    static requested() {
+        const lang = new URLSearchParams(window.location.search).get('lang');
+        if (!lang) {
+            return null;
+        }
+        if (!LANGUAGE_TAG.test(lang)) {
+            console.warn(`Ignoring invalid language "${lang}"`);
+            return null;
+        }
+        return lang;
+    }
+    
+    // The first of the browser's languages with strings here, else English
+    static preferred() {
+        const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || 'en'];
+        return languages.find(lang => {
+            const base = lang.split('-')[0].toLowerCase();
+            return base === 'en' || LOCALE_CATALOGS.includes(base);
+        }) || 'en';
+    }
+}
+
+const i18n = new Locale();
+const t = (key, values) => i18n.t(key, values);
+
+// Particle Shapes
+// Each shape is a draw function (ctx, size, particle) that traces and fills (or strokes) one
+// particle centered on the origin; position, rotation, color, opacity and glow are already set.
+// registerShape() adds more, and a config's customShapes can add text glyphs and SVG paths
+const SHAPE_REGISTRY = new Map();
+// Bumped on every registration so cached sprites of a redefined shape are redrawn
+let shapeRegistryVersion = 0;
+
+const registerShape = (name, draw) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new TypeError('Shape name must be a non-empty string');
+    }
+    if (typeof draw !== 'function') {
+        throw new TypeError(`Shape "${name}" needs a draw function`);
+    }
+    SHAPE_REGISTRY.set(name, draw);
+    shapeRegistryVersion++;
+};
+
+registerShape('heart', (ctx, size) => {
+    const top = size * 0.3;
+    const y = -size / 2;
+    ctx.beginPath();
+    ctx.moveTo(0, y + top);
+    ctx.bezierCurveTo(0, y, -size / 2, y, -size / 2, y + top);
+    ctx.bezierCurveTo(-size / 2, y + (size + top) / 2, 0, y + (size + top) / 2, 0, y + size);
+    ctx.bezierCurveTo(0, y + (size + top) / 2, size / 2, y + (size + top) / 2, size / 2, y + top);
+    ctx.bezierCurveTo(size / 2, y, 0, y, 0, y + top);
+    ctx.closePath();
+    ctx.fill();
+});
+
+registerShape('circle', (ctx, size) => {
+    ctx.beginPath();
+    ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+    ctx.fill();
+});
+
+registerShape('star', (ctx, size) => {
+    ctx.beginPath();
+    for (let i = 0; i < 5; i++) {
+        const angle = (i * 4 * Math.PI) / 5 - Math.PI / 2;
+        ctx.lineTo(Math.cos(angle) * size, Math.sin(angle) * size);
+    }
+    ctx.closePath();
+    ctx.fill();
+});
+
+// Four-pointed twinkle with concave sides
+registerShape('sparkle', (ctx, size) => {
+    const r = size * 0.8;
+    ctx.beginPath();
+    ctx.moveTo(0, -r);
+    ctx.quadraticCurveTo(0, 0, r, 0);
+    ctx.quadraticCurveTo(0, 0, 0, r);
+    ctx.quadraticCurveTo(0, 0, -r, 0);
+    ctx.quadraticCurveTo(0, 0, 0, -r);
+    ctx.closePath();
+    ctx.fill();
+});
+
+registerShape('petal', (ctx, size) => {
+    ctx.beginPath();
+    ctx.moveTo(0, -size / 2);
+    ctx.quadraticCurveTo(size / 2, 0, 0, size / 2);
+    ctx.quadraticCurveTo(-size / 2, 0, 0, -size / 2);
+    ctx.closePath();
+    ctx.fill();
+});
+
+registerShape('ring', (ctx, size) => {
+    ctx.lineWidth = Math.max(1.5, size * 0.18);
+    ctx.beginPath();
+    ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+    ctx.stroke();
+});
+
+// Shapes a config may not replace
+const BUILT_IN_SHAPES = new Set(SHAPE_REGISTRY.keys());
+
+// Text or emoji, e.g. initials
+const glyphShape = (text, font = 'sans-serif') => (ctx, size) => {
+    ctx.font = `${Math.round(size * 1.5)}px ${font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 0, 0);
+};
+
+// An SVG path drawn in a viewBox-sized square, scaled to the particle
+const pathShape = (d, viewBox = 24) => {
+    const path = new Path2D(d);
+    return (ctx, size) => {
+        const scale = size / viewBox;
+        ctx.scale(scale, scale);
+        ctx.translate(-viewBox / 2, -viewBox / 2);
+        ctx.fill(path);
+    };
+};
+
+// Definitions behind the registered custom shapes, kept so a render worker can rebuild them
+const CUSTOM_SHAPE_DEFINITIONS = new Map();
+
+// Registers a config's customShapes ({ name: { text, font } or { path, viewBox } })
+const registerCustomShapes = (customShapes) => {
+    Object.entries(customShapes || {}).forEach(([name, shape]) => {
+        registerShape(name, shape.path ? pathShape(shape.path, shape.viewBox) : glyphShape(shape.text, shape.font));
+        CUSTOM_SHAPE_DEFINITIONS.set(name, shape);
+    });
+};
+
+// Sprite Atlas Class
+// Pre-renders each shape / color / size / glow combination once, glow included, onto one
+// canvas; particles are then stamped with drawImage instead of paying for shadowBlur every frame
+const ATLAS_SIZE = 2048;
+// Sizes and glows are rounded to these steps so particles share sprites
+const SPRITE_SIZE_STEP = 2;
+const SPRITE_GLOW_STEP = 10;
+
+class SpriteAtlas {
+    constructor(pixelRatio = 1) {
+        this.pixelRatio = pixelRatio;
+        this.canvas = SpriteAtlas.createCanvas(ATLAS_SIZE, ATLAS_SIZE);
+        this.ctx = this.canvas.getContext('2d');
+        this.reset();
+    }
+    
+    // Works on the main thread and inside a worker
+    static createCanvas(width, height) {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        return new OffscreenCanvas(width, height);
+    }
+    
+    // Forgets every sprite; used when the atlas fills up or a shape is redefined
+    reset() {
+        this.sprites = new Map();
+        this.version = shapeRegistryVersion;
+        this.cursorX = 0;
+        this.cursorY = 0;
+        this.rowHeight = 0;
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    
+    get(shape, color, size, glow) {
+        if (this.version !== shapeRegistryVersion) {
+            this.reset();
+        }
+        const spriteSize = Math.max(SPRITE_SIZE_STEP, Math.round(size / SPRITE_SIZE_STEP) * SPRITE_SIZE_STEP);
+        const spriteGlow = Math.round(glow / SPRITE_GLOW_STEP) * SPRITE_GLOW_STEP;
+        const key = `${shape}|${color}|${spriteSize}|${spriteGlow}`;
+        let sprite = this.sprites.get(key);
+        if (!sprite) {
+            sprite = this.render(shape, color, spriteSize, spriteGlow);
+            this.sprites.set(key, sprite);
+        }
+        return sprite;
+    }
+    
+    render(shape, color, size, glow) {
+        // Shapes may reach out to `size` from their center (the star does), the glow adds its blur
+        const half = size + glow;
+        const extent = Math.ceil(half * 2 * this.pixelRatio) + 2;
+        if (this.cursorX + extent > this.canvas.width) {
+            this.cursorX = 0;
+            this.cursorY += this.rowHeight;
+            this.rowHeight = 0;
+        }
+        if (this.cursorY + extent > this.canvas.height) {
+            this.reset();
+        }
+        
+        const sprite = { x: this.cursorX, y: this.cursorY, width: extent, height: extent, half: extent / 2 / this.pixelRatio };
+        const ctx = this.ctx;
+        const draw = SHAPE_REGISTRY.get(shape) || SHAPE_REGISTRY.get('circle');
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, sprite.x + extent / 2, sprite.y + extent / 2);
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        ctx.shadowColor = color;
+        // shadowBlur ignores the transform, so scale it by hand
+        ctx.shadowBlur = glow * this.pixelRatio;
+        draw(ctx, size, { shape, color, size, glow });
+        ctx.restore();
+        
+        this.cursorX += extent;
+        this.rowHeight = Math.max(this.rowHeight, extent);
+        return sprite;
+    }
+}
+
 // Particle System Class
+// Particle physics tuning
+const BURST_SIZE = 12;
+const MAX_BURST_PARTICLES = 120;
+// Share of the gap to its own drift velocity a pushed particle makes up each frame
+const VELOCITY_RELAX = 0.03;
+const COLLISION_RESTITUTION = 0.8;
+// Spatial grid cell for collision checks, no smaller than the widest particle
+const COLLISION_CELL = 16;
+// Frame budget: how often the cost is checked, and the fewest / most particles relative to the device default
+const BUDGET_CHECK_FRAMES = 30;
+const MIN_PARTICLES = 15;
+const MAX_PARTICLE_FACTOR = 2;
+// How much bigger and brighter particles get on a full beat
+const BEAT_SIZE_BOOST = 0.35;
+const BEAT_GLOW_BOOST = 0.6;
+// Clicks on these start their own action and shouldn't also burst
+const BURST_IGNORE_SELECTOR = 'button, a, input, textarea, select, label, [role="dialog"], .editor-panel';
+
 class ParticleSystem {
-    constructor(canvas) {
+    // options.size ({ width, height, pixelRatio }) renders at a fixed size instead of following
+    // the window, and options.random replaces Math.random; both are used by the exporter and the
+    // render worker. options.frameBudget (ms) lets the particle count adapt to how long frames take,
+    // it's on by default for the live page and off for fixed-size renders unless options.adaptive
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.particles = [];
-        this.colors = ['#ff6b9d', '#c44569', '#f8b500', '#ff6b35', '#feca57'];
-        this.shapes = ['heart', 'circle', 'star'];
-        this.animationFrame = null;
+        this.colors = options.colors || THEMES.romantic.palette;
+        this.shapes = options.shapes || THEMES.romantic.shapes;
+        this.physics = options.physics || DEFAULT_CONFIG.physics;
+        this.fixedSize = options.size || null;
+        this.random = options.random || Math.random;
+        this.adaptive = options.adaptive !== undefined ? options.adaptive : !options.size;
+        this.frameBudget = options.frameBudget || DEFAULT_CONFIG.renderer.frameBudget;
+        this.frameCost = null;
+        this.budgetFrames = 0;
+        this.atlas = null;
+        this.pointer = null;
+        this.scheduler = scheduler.group();
+        this.listeners = new AbortController();
+        this.animationFrame = null;
+        this.isPaused = false;
+        this.motionScale = 1;
+        this.beat = 0;
+        // The appearance change under way, counted in frames (see setAppearance)
+        this.morph = null;
+        this.unsubscribeMotion = options.size ? () => {} : motionPolicy.subscribe(reduced => {
+            this.motionScale = reduced ? REDUCED_PARTICLE_SPEED : 1;
+        });
+        
+        // Responsive particle count based on device
+        this.updateParticleCount();
+        this.resize();
+        this.init();
+        
+        if (this.fixedSize) {
+            return;
+        }
+        const { signal } = this.listeners;
+        ParticleSystem.listenToPointer(canvas, this, signal);
+        
+        // Throttled resize handler for better performance
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            this.scheduler.clearTimer(resizeTimeout);
+            resizeTimeout = this.scheduler.setTimer(() => {
+                this.updateParticleCount();
+                this.resize();
+                this.reinitParticles();
+            }, 250);
+        }, { signal });
+    }
+    
+    // Pointer and touch positions feed the attract / repel field of `target` (setPointer) and
+    // presses spawn bursts (burst). The canvas ignores pointer events itself, so these listen on
+    // the window until `signal` aborts
+    static listenToPointer(canvas, target, signal) {
+        const toCanvas = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
+        const handlers = {
+            pointermove: (e) => {
+                target.setPointer(toCanvas(e));
+            },
+            pointerdown: (e) => {
+                const point = toCanvas(e);
+                target.setPointer(point);
+                if (!(e.target.closest && e.target.closest(BURST_IGNORE_SELECTOR))) {
+                    target.burst(point.x, point.y);
+                }
+            },
+            // A lifted finger leaves no pointer behind, a mouse stays where it is
+            pointerup: (e) => {
+                if (e.pointerType !== 'mouse') {
+                    target.setPointer(null);
+                }
+            },
+            pointercancel: () => {
+                target.setPointer(null);
+            },
+            pointerout: (e) => {
+                if (!e.relatedTarget) {
+                    target.setPointer(null);
+                }
+            }
+        };
+        Object.entries(handlers).forEach(([type, handler]) => window.addEventListener(type, handler, { signal }));
+    }
+    
+    setPointer(point) {
+        this.pointer = point;
+    }
+    
+    setPhysics(physics) {
+        this.physics = physics;
+    }
+    
+    // Beat strength from 0 to 1 (see AudioEngine), ignored when motion is reduced
+    setBeat(beat) {
+        this.beat = this.motionScale === 1 ? beat : 0;
+    }
+    
+    // Bursts are skipped while paused or when motion is reduced
+    canBurst() {
+        return this.physics.bursts && !this.isPaused && this.motionScale === 1;
+    }
+    
+    // Hearts by default, for clicks on the stage
+    burst(x, y, shape = 'heart') {
+        if (this.canBurst()) {
+            this.spray(x, y, shape);
+        }
+    }
+    
+    // A reply reaction bursts into its own emoji (a registered shape) even with click bursts
+    // off; under reduced motion it drifts out at the reduced speed
+    react(x, y, shape) {
+        if (!this.isPaused) {
+            this.spray(x, y, shape);
+        }
+    }
+    
+    spray(x, y, shape) {
+        const random = this.random;
+        for (let i = 0; i < BURST_SIZE; i++) {
+            const angle = (i / BURST_SIZE) * Math.PI * 2 + random() * 0.3;
+            const speed = 2 + random() * 3;
+            const life = 60 + random() * 30;
+            this.particles.push({
+                x,
+                y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                // Bursts slow down to a stop instead of drifting on
+                baseVx: 0,
+                baseVy: 0,
+                size: random() * 6 + 8,
+                color: this.colors[Math.floor(random() * this.colors.length)],
+                shape,
+                opacity: 1,
+                glow: 15,
+                rotation: 0,
+                rotationSpeed: (random() - 0.5) * 0.2,
+                life,
+                maxLife: life
+            });
+        }
+        
+        // Drop the oldest bursts past the cap
+        const bursts = this.particles.filter(particle => particle.maxLife);
+        if (bursts.length > MAX_BURST_PARTICLES) {
+            const stale = new Set(bursts.slice(0, bursts.length - MAX_BURST_PARTICLES));
+            this.particles = this.particles.filter(particle => !stale.has(particle));
+        }
+    }
+    
+    updateParticleCount() {
+        const width = this.fixedSize ? this.fixedSize.width : window.innerWidth;
+        const isMobile = width < 768;
+        const isTablet = width < 1024 && width >= 768;
+        const pixelRatio = this.fixedSize ? 1 : window.devicePixelRatio || 1;
+        
+        if (isMobile) {
+            this.particleCount = Math.floor(50 / pixelRatio);
+        } else if (isTablet) {
+            this.particleCount = Math.floor(75 / pixelRatio);
+        } else {
+            this.particleCount = Math.floor(100 / pixelRatio);
+        }
+        this.maxParticleCount = this.particleCount * MAX_PARTICLE_FACTOR;
+    }
+    
+    // Keeps a running average of what a frame costs and every BUDGET_CHECK_FRAMES frames
+    // thins the particles out when over budget, or adds some back when there's room
+    trackFrameCost(ms) {
+        this.frameCost = this.frameCost === null ? ms : this.frameCost * 0.9 + ms * 0.1;
+        this.budgetFrames++;
+        if (this.budgetFrames < BUDGET_CHECK_FRAMES) {
+            return;
+        }
+        this.budgetFrames = 0;
+        
+        if (this.frameCost > this.frameBudget && this.particleCount > MIN_PARTICLES) {
+            this.setParticleCount(Math.max(MIN_PARTICLES, Math.floor(this.particleCount * 0.8)));
+        } else if (this.frameCost < this.frameBudget / 2 && this.particleCount < this.maxParticleCount) {
+            this.setParticleCount(Math.min(this.maxParticleCount, Math.ceil(this.particleCount * 1.1)));
+        }
+    }
+    
+    // Adds or removes drifting particles; bursts are left alone
+    setParticleCount(count) {
+        const ambient = this.particles.filter(particle => !particle.maxLife);
+        if (ambient.length > count) {
+            const removed = new Set(ambient.slice(count));
+            this.particles = this.particles.filter(particle => !removed.has(particle));
+        } else {
+            for (let i = ambient.length; i < count; i++) {
+                this.particles.push(this.createParticle());
+            }
+        }
+        this.particleCount = count;
+    }
+    
+    resize() {
+        const dpr = this.fixedSize ? this.fixedSize.pixelRatio : window.devicePixelRatio || 1;
+        const rect = this.fixedSize || this.canvas.getBoundingClientRect();
+        this.width = rect.width;
+        this.height = rect.height;
+        
+        this.pixelRatio = dpr;
+        
+        // Set actual size in memory (scaled for DPI)
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        
+        // Scale the context back down using CSS (an OffscreenCanvas in the worker has no style)
+        if (this.canvas.style) {
+            this.canvas.style.width = rect.width + 'px';
+            this.canvas.style.height = rect.height + 'px';
+        }
+        if (!this.atlas || this.atlas.pixelRatio !== dpr) {
+            this.atlas = new SpriteAtlas(dpr);
+        }
+        
+        // Reset transform and scale the drawing context
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.scale(dpr, dpr);
+    }
+    
+    // Swaps colors and shapes without respawning, so the preview doesn't jump. With a duration (ms)
+    // each particle cross-fades from its old look to the new one, starting at a random moment
+    // in the first half so the change ripples through instead of flipping all at once
+    setAppearance(colors, shapes, duration = 0) {
+        this.colors = colors;
+        this.shapes = shapes;
+        const frames = duration / 1000 * 60;
+        this.particles.forEach(particle => {
+            // A particle caught mid-change fades on from whichever look it mostly shows
+            const from = this.morphProgress(particle) < 0.5 ? particle.from : { color: particle.color, shape: particle.shape };
+            particle.from = frames > 0 ? from : null;
+            particle.morphDelay = this.random() * 0.5;
+            particle.color = this.colors[Math.floor(this.random() * this.colors.length)];
+            particle.shape = this.shapes[Math.floor(this.random() * this.shapes.length)];
+        });
+        this.morph = frames > 0 ? { frame: 0, frames } : null;
+    }
+    
+    // How far (0-1) a particle has faded to its new look
+    morphProgress(particle) {
+        if (!this.morph || !particle.from) {
+            return 1;
+        }
+        return Math.min(Math.max((this.morph.frame / this.morph.frames - particle.morphDelay) * 2, 0), 1);
+    }
+    
+    reinitParticles() {
+        this.particles = [];
+        this.init();
+    }
+    
+    init() {
+        for (let i = 0; i < this.particleCount; i++) {
+            this.particles.push(this.createParticle());
+        }
+    }
+    
+    createParticle() {
+        const random = this.random;
+        const vx = (random() - 0.5) * 2;
+        const vy = (random() - 0.5) * 2;
+        return {
+            x: random() * this.width,
+            y: random() * this.height,
+            vx,
+            vy,
+            // Forces push particles off course; they drift back to this velocity
+            baseVx: vx,
+            baseVy: vy,
+            size: random() * 8 + 4,
+            color: this.colors[Math.floor(random() * this.colors.length)],
+            shape: this.shapes[Math.floor(random() * this.shapes.length)],
+            opacity: random() * 0.8 + 0.2,
+            glow: random() * 20 + 10,
+            rotation: random() * Math.PI * 2,
+            rotationSpeed: (random() - 0.5) * 0.1
+        };
+    }
+    
+    // Stamps the particle's cached sprite; setTransform replaces save/translate/rotate/restore.
+    // While its look is changing the old and new sprites are stamped over each other
+    drawParticle(particle, opacity) {
+        const ratio = this.pixelRatio * (1 + this.beat * BEAT_SIZE_BOOST);
+        const cos = Math.cos(particle.rotation) * ratio;
+        const sin = Math.sin(particle.rotation) * ratio;
+        this.ctx.setTransform(cos, sin, -sin, cos, particle.x * this.pixelRatio, particle.y * this.pixelRatio);
+        const progress = this.morphProgress(particle);
+        if (progress < 1) {
+            this.stampSprite(particle.from.shape, particle.from.color, particle, opacity * (1 - progress));
+        }
+        if (progress > 0) {
+            this.stampSprite(particle.shape, particle.color, particle, opacity * progress);
+        }
+    }
+    
+    stampSprite(shape, color, particle, opacity) {
+        const sprite = this.atlas.get(shape, color, particle.size, particle.glow * (1 + this.beat * BEAT_GLOW_BOOST));
+        this.ctx.globalAlpha = opacity;
+        this.ctx.drawImage(this.atlas.canvas, sprite.x, sprite.y, sprite.width, sprite.height,
+            -sprite.half, -sprite.half, sprite.half * 2, sprite.half * 2);
+    }
+    
+    // Advances by `frames` display frames (1 = 1/60s), so fixed-rate renders stay in step
+    update(frames = 1) {
+        const rect = { width: this.width, height: this.height };
+        const step = this.motionScale * frames;
+        // Reduced motion keeps the slow drift but nothing that rushes or scatters
+        const isLively = this.motionScale === 1 && step > 0;
+        
+        // Clear the canvas (already scaled in resize)
+        this.ctx.clearRect(0, 0, rect.width, rect.height);
+        
+        // Burst lifetimes and appearance changes count real frames, not motion-scaled ones
+        if (frames > 0) {
+            this.particles = this.particles.filter(particle => {
+                if (particle.maxLife) {
+                    particle.life -= frames;
+                    return particle.life > 0;
+                }
+                return true;
+            });
+            if (this.morph && (this.morph.frame += frames) >= this.morph.frames) {
+                this.morph = null;
+                this.particles.forEach(particle => {
+                    particle.from = null;
+                });
+            }
+        }
+        
+        this.applyForces(step, isLively);
+        if (this.physics.collisions && isLively) {
+            this.resolveCollisions();
+        }
+        
+        this.particles.forEach(particle => {
+            particle.x += particle.vx * step;
+            particle.y += particle.vy * step;
+            particle.rotation += particle.rotationSpeed * step;
+            
+            // Bounce back inside; gravity or wind would otherwise carry particles through the edges
+            if ((particle.x < 0 && particle.vx < 0) || (particle.x > rect.width && particle.vx > 0)) {
+                particle.x = Math.min(Math.max(particle.x, 0), rect.width);
+                particle.vx *= -1;
+                particle.baseVx *= -1;
+            }
+            if ((particle.y < 0 && particle.vy < 0) || (particle.y > rect.height && particle.vy > 0)) {
+                particle.y = Math.min(Math.max(particle.y, 0), rect.height);
+                particle.vy *= -1;
+                particle.baseVy *= -1;
+            }
+            
+            const opacity = particle.maxLife ? particle.opacity * (particle.life / particle.maxLife) : particle.opacity;
+            this.drawParticle(particle, opacity);
+        });
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        this.ctx.globalAlpha = 1;
+    }
+    
+    // Gravity, wind and the pointer field change velocities; each particle then eases
+    // back toward its own drift velocity so forces never build up without bound
+    applyForces(step, isLively) {
+        const { pointer: mode, pointerRadius, pointerStrength, gravity, wind } = this.physics;
+        const pointer = isLively && mode !== 'none' ? this.pointer : null;
+        const direction = mode === 'repel' ? -1 : 1;
+        const relax = Math.min(VELOCITY_RELAX * step, 1);
+        
+        this.particles.forEach(particle => {
+            particle.vx += wind * step;
+            particle.vy += gravity * step;
+            
+            if (pointer) {
+                const dx = pointer.x - particle.x;
+                const dy = pointer.y - particle.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance > 1 && distance < pointerRadius) {
+                    const pull = pointerStrength * (1 - distance / pointerRadius) * step * direction;
+                    particle.vx += (dx / distance) * pull;
+                    particle.vy += (dy / distance) * pull;
+                }
+            }
+            
+            particle.vx += (particle.baseVx - particle.vx) * relax;
+            particle.vy += (particle.baseVy - particle.vy) * relax;
+        });
+    }
+    
+    // Soft collisions: overlapping particles are eased apart and bounce off each other.
+    // A spatial grid limits the checks to neighbouring cells instead of every pair
+    resolveCollisions() {
+        const particles = this.particles;
+        const columns = Math.ceil(this.width / COLLISION_CELL) + 2;
+        const cellOf = (particle) => [Math.floor(particle.x / COLLISION_CELL), Math.floor(particle.y / COLLISION_CELL)];
+        const grid = new Map();
+        particles.forEach((particle, index) => {
+            const [column, row] = cellOf(particle);
+            const key = column + row * columns;
+            if (!grid.has(key)) {
+                grid.set(key, []);
+            }
+            grid.get(key).push(index);
+        });
+        
+        particles.forEach((a, i) => {
+            const [column, row] = cellOf(a);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const cell = grid.get(column + dx + (row + dy) * columns);
+                    if (!cell) {
+                        continue;
+                    }
+                    cell.forEach(j => {
+                        if (j > i) {
+                            ParticleSystem.collide(a, particles[j]);
+                        }
+                    });
+                }
+            }
+        });
+    }
+    
+    static collide(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const minDistance = (a.size + b.size) / 2;
+        const distanceSq = dx * dx + dy * dy;
+        if (distanceSq >= minDistance * minDistance || distanceSq === 0) {
+            return;
+        }
+        
+        const distance = Math.sqrt(distanceSq);
+        const nx = dx / distance;
+        const ny = dy / distance;
+        // Resolve only half the overlap per frame, which keeps stacks from jittering
+        const push = (minDistance - distance) / 4;
+        a.x -= nx * push;
+        a.y -= ny * push;
+        b.x += nx * push;
+        b.y += ny * push;
+        
+        const approach = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+        if (approach < 0) {
+            const impulse = (-(1 + COLLISION_RESTITUTION) * approach) / 2;
+            a.vx -= impulse * nx;
+            a.vy -= impulse * ny;
+            b.vx += impulse * nx;
+            b.vy += impulse * ny;
+        }
+    }
+    
+    // Safe to call again, there is only ever one frame loop; frames are held while paused or hidden
+    animate() {
+        this.scheduler.cancelFrame(this.animationFrame);
+        const start = performance.now();
+        this.update();
+        if (this.adaptive) {
+            this.trackFrameCost(performance.now() - start);
+        }
+        this.animationFrame = this.scheduler.requestFrame(() => this.animate());
+    }
+    
+    pause() {
+        this.isPaused = true;
+        this.scheduler.pause();
+    }
+    
+    resume() {
+        this.isPaused = false;
+        this.scheduler.resume();
+    }
+    
+    destroy() {
+        this.scheduler.destroy();
+        this.listeners.abort();
+        this.unsubscribeMotion();
+    }
+}
+
+// Particle Worker Class
+// With renderer.worker the particle system runs on an OffscreenCanvas in a worker, so a busy
+// main thread can't stall it. Offers the same methods StageManager uses on a ParticleSystem;
+// the worker is assembled from this file's own shape, atlas and particle code
+class ParticleWorker {
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.physics = options.physics;
+        this.isPaused = false;
+        this.motionScale = 1;
+        
+        this.url = URL.createObjectURL(new Blob([ParticleWorker.source()], { type: 'text/javascript' }));
+        this.worker = new Worker(this.url);
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            size: this.measure(),
+            colors: options.colors,
+            shapes: options.shapes,
+            physics: options.physics,
+            frameBudget: options.frameBudget,
+            customShapes: Object.fromEntries(CUSTOM_SHAPE_DEFINITIONS)
+        }, [offscreen]);
+        
+        this.unsubscribeMotion = motionPolicy.subscribe(reduced => {
+            this.motionScale = reduced ? REDUCED_PARTICLE_SPEED : 1;
+            this.post('motion', { motionScale: this.motionScale });
+        });
+        this.scheduler = scheduler.group();
+        this.listeners = new AbortController();
+        const { signal } = this.listeners;
+        ParticleSystem.listenToPointer(canvas, this, signal);
+        
+        let resizeTimeout;
+        window.addEventListener('resize', () => {
+            this.scheduler.clearTimer(resizeTimeout);
+            resizeTimeout = this.scheduler.setTimer(() => this.post('resize', { size: this.measure() }), 250);
+        }, { signal });
+        // The worker has no document, so it is told when the page is hidden
+        this.post('visibility', { hidden: scheduler.hidden });
+        document.addEventListener('visibilitychange', () => {
+            this.post('visibility', { hidden: document.hidden });
+        }, { signal });
+    }
+    
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+    }
+    
+    // Worker source: built-in shapes are re-registered from their draw functions, custom ones
+    // are rebuilt from their config definitions (shapes added with registerShape from other
+    // code can't be sent over and fall back to circles)
+    static source() {
+        const constants = {
+            BURST_SIZE, MAX_BURST_PARTICLES, VELOCITY_RELAX, COLLISION_RESTITUTION, COLLISION_CELL,
+            BUDGET_CHECK_FRAMES, MIN_PARTICLES, MAX_PARTICLE_FACTOR, BEAT_SIZE_BOOST, BEAT_GLOW_BOOST,
+            ATLAS_SIZE, SPRITE_SIZE_STEP, SPRITE_GLOW_STEP
+        };
+        const builtIns = [...SHAPE_REGISTRY].filter(([name]) => BUILT_IN_SHAPES.has(name));
+        return [
+            'const SHAPE_REGISTRY = new Map();',
+            'let shapeRegistryVersion = 0;',
+            `const registerShape = ${registerShape};`,
+            ...builtIns.map(([name, draw]) => `registerShape(${JSON.stringify(name)}, ${draw});`),
+            `const glyphShape = ${glyphShape};`,
+            `const pathShape = ${pathShape};`,
+            'const CUSTOM_SHAPE_DEFINITIONS = new Map();',
+            `const registerCustomShapes = ${registerCustomShapes};`,
+            ...Object.entries(constants).map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`),
+            'let scheduledIds = 0;',
+            String(Scheduler),
+            'const scheduler = new Scheduler();',
+            String(SpriteAtlas),
+            String(ParticleSystem),
+            `(${runParticleWorker})();`
+        ].join('\n');
+    }
+    
+    measure() {
+        const rect = this.canvas.getBoundingClientRect();
+        return { width: rect.width, height: rect.height, pixelRatio: window.devicePixelRatio || 1 };
+    }
+    
+    post(type, data = {}) {
+        this.worker.postMessage({ type, ...data });
+    }
+    
+    setPointer(point) {
+        this.post('pointer', { point });
+    }
+    
+    canBurst() {
+        return this.physics.bursts && !this.isPaused && this.motionScale === 1;
+    }
+    
+    burst(x, y, shape = 'heart') {
+        if (this.canBurst()) {
+            this.post('burst', { x, y, shape, customShape: CUSTOM_SHAPE_DEFINITIONS.get(shape) });
+        }
+    }
+    
+    react(x, y, shape) {
+        if (!this.isPaused) {
+            this.post('react', { x, y, shape, customShape: CUSTOM_SHAPE_DEFINITIONS.get(shape) });
+        }
+    }
+    
+    setAppearance(colors, shapes, duration = 0) {
+        this.post('appearance', { colors, shapes, duration, customShapes: Object.fromEntries(CUSTOM_SHAPE_DEFINITIONS) });
+    }
+    
+    setPhysics(physics) {
+        this.physics = physics;
+        this.post('physics', { physics });
+    }
+    
+    setBeat(beat) {
+        this.post('beat', { beat });
+    }
+    
+    animate() {
+        this.post('animate');
+    }
+    
+    pause() {
+        this.isPaused = true;
+        this.post('pause');
+    }
+    
+    resume() {
         this.isPaused = false;
+        this.post('resume');
+    }
+    
+    destroy() {
+        this.scheduler.destroy();
+        this.listeners.abort();
+        this.unsubscribeMotion();
+        this.worker.terminate();
+        URL.revokeObjectURL(this.url);
+    }
+}
+
+// Runs inside the particle worker (see ParticleWorker.source), never on the page
+const runParticleWorker = () => {
+    let system = null;
+    self.onmessage = ({ data }) => {
+        if (data.type === 'visibility') {
+            scheduler.setHidden(data.hidden);
+            return;
+        }
+        if (data.type === 'init') {
+            registerCustomShapes(data.customShapes);
+            system = new ParticleSystem(data.canvas, {
+                colors: data.colors,
+                shapes: data.shapes,
+                physics: data.physics,
+                size: data.size,
+                adaptive: true,
+                frameBudget: data.frameBudget
+            });
+            return;
+        }
+        switch (data.type) {
+            case 'animate':
+                system.animate();
+                break;
+            case 'resize':
+                system.fixedSize = data.size;
+                system.updateParticleCount();
+                system.resize();
+                system.reinitParticles();
+                break;
+            case 'pointer':
+                system.setPointer(data.point);
+                break;
+            case 'burst':
+            case 'react':
+                // A shape the worker hasn't drawn yet, registering it again would redraw every sprite
+                if (data.customShape && !SHAPE_REGISTRY.has(data.shape)) {
+                    registerCustomShapes({ [data.shape]: data.customShape });
+                }
+                if (data.type === 'react') {
+                    system.react(data.x, data.y, data.shape);
+                } else {
+                    system.burst(data.x, data.y, data.shape);
+                }
+                break;
+            case 'appearance':
+                registerCustomShapes(data.customShapes);
+                system.setAppearance(data.colors, data.shapes, data.duration);
+                break;
+            case 'physics':
+                system.setPhysics(data.physics);
+                break;
+            case 'beat':
+                system.setBeat(data.beat);
+                break;
+            case 'motion':
+                system.motionScale = data.motionScale;
+                break;
+            case 'pause':
+                system.pause();
+                break;
+            case 'resume':
+                system.resume();
+                break;
+        }
+    };
+};
+
+// Effect Registry
+// Text effects by name, in toolbar and cycle order. An effect declares what each element (title,
+// subtitle, message, heart) plays: keyframes plus Web Animations timing (duration, easing, delay,
+// iterations). stagger (ms) delays each element after the one before it, unless the element sets
+// stagger: false, and duration / easing are defaults for all of them. An effect that needs more
+// than keyframes gives run(manager) returning an EffectHandle instead. label names the toolbar
+// button and description is added to its accessible name; the catalog's effect.<name> and
+// effect.<name>.description win over both where they exist. Times are divided by the speed
+const EFFECT_REGISTRY = new Map();
+const EFFECT_TARGETS = ['title', 'subtitle', 'message', 'heart'];
+
+const registerEffect = (name, definition) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new TypeError('Effect name must be a non-empty string');
+    }
+    if (!definition || (typeof definition.run !== 'function' && !ConfigLoader.isPlainObject(definition.elements))) {
+        throw new TypeError(`Effect "${name}" needs keyframes for its elements or a run function`);
+    }
+    const unknown = Object.keys(definition.elements || {}).filter(target => !EFFECT_TARGETS.includes(target));
+    if (unknown.length > 0) {
+        throw new TypeError(`Effect "${name}" animates unknown elements: ${unknown.join(', ')}`);
+    }
+    EFFECT_REGISTRY.set(name, { label: name.charAt(0).toUpperCase() + name.slice(1), ...definition });
+};
+
+const effectNames = () => [...EFFECT_REGISTRY.keys()];
+
+// An effect's label and description in the page's language
+const effectText = (name) => {
+    const effect = EFFECT_REGISTRY.get(name);
+    const key = `effect.${name}`;
+    return {
+        label: i18n.has(key) ? t(key) : effect.label,
+        description: i18n.has(`${key}.description`) ? t(`${key}.description`) : effect.description
+    };
+};
+
+const EFFECT_KEYFRAMES = {
+    fadeIn: [{ opacity: 0 }, { opacity: 1 }],
+    fadeInUp: [
+        { opacity: 0, transform: 'translateY(40px)' },
+        { opacity: 1, transform: 'translateY(0)' }
+    ],
+    elegantFadeIn: [
+        { opacity: 0, transform: 'translateY(15px)' },
+        { opacity: 1, transform: 'translateY(0)' }
+    ],
+    subtleMorph: [
+        { transform: 'scale(1) rotate(0deg)' },
+        { transform: 'scale(1.03) rotate(1deg)' },
+        { transform: 'scale(0.98) rotate(-1deg)' },
+        { transform: 'scale(1.02) rotate(0.5deg)' },
+        { transform: 'scale(1) rotate(0deg)' }
+    ],
+    gentleScale: [
+        { transform: 'scale(1)' },
+        { transform: 'scale(1.05)' },
+        { transform: 'scale(1)' }
+    ],
+    smoothRotate: [{ transform: 'rotate(0deg)' }, { transform: 'rotate(360deg)' }],
+    elegantCombined: [
+        { transform: 'scale(1) rotate(0deg)', opacity: 1 },
+        { transform: 'scale(1.04) rotate(5deg)', opacity: 0.95 },
+        { transform: 'scale(0.97) rotate(-5deg)', opacity: 1 },
+        { transform: 'scale(1.02) rotate(2deg)', opacity: 0.98 },
+        { transform: 'scale(1) rotate(0deg)', opacity: 1 }
+    ]
+};
+
+// Title and heart keep moving while the subtitle and message fade in
+const loopingEffect = (keyframes, duration) => {
+    const loop = { keyframes, duration, easing: 'ease-in-out', iterations: Infinity };
+    const fadeIn = { keyframes: EFFECT_KEYFRAMES.fadeIn, duration: 1500, easing: 'ease-in-out' };
+    return { elements: { title: loop, subtitle: fadeIn, message: fadeIn, heart: loop } };
+};
+
+registerEffect('fade', {
+    duration: 1500,
+    easing: 'cubic-bezier(0.4, 0, 0.2, 1)',
+    stagger: 300,
+    elements: {
+        title: { keyframes: EFFECT_KEYFRAMES.elegantFadeIn },
+        subtitle: { keyframes: EFFECT_KEYFRAMES.elegantFadeIn },
+        message: { keyframes: EFFECT_KEYFRAMES.elegantFadeIn },
+        heart: { keyframes: EFFECT_KEYFRAMES.elegantFadeIn, stagger: false }
+    }
+});
+registerEffect('typewriter', { run: manager => manager.typewriterEffect() });
+registerEffect('morph', loopingEffect(EFFECT_KEYFRAMES.subtleMorph, 4000));
+registerEffect('scale', loopingEffect(EFFECT_KEYFRAMES.gentleScale, 3000));
+registerEffect('rotate', {
+    duration: 1000,
+    easing: 'ease-out',
+    stagger: 200,
+    elements: {
+        title: { keyframes: EFFECT_KEYFRAMES.fadeInUp },
+        subtitle: { keyframes: EFFECT_KEYFRAMES.fadeInUp },
+        message: { keyframes: EFFECT_KEYFRAMES.fadeInUp },
+        heart: { keyframes: EFFECT_KEYFRAMES.smoothRotate, duration: 8000, easing: 'linear', iterations: Infinity, stagger: false }
+    }
+});
+registerEffect('combined', {
+    easing: 'ease-out',
+    elements: {
+        title: { keyframes: EFFECT_KEYFRAMES.elegantCombined, duration: 5000, easing: 'ease-in-out', iterations: Infinity },
+        subtitle: { keyframes: EFFECT_KEYFRAMES.fadeInUp, duration: 1000, delay: 300 },
+        message: { keyframes: EFFECT_KEYFRAMES.fadeInUp, duration: 1200, delay: 600 },
+        heart: { keyframes: EFFECT_KEYFRAMES.elegantCombined, duration: 5000, easing: 'ease-in-out', iterations: Infinity }
+    }
+});
+registerEffect('karaoke', { run: manager => manager.karaokeEffect() });
+
+// What every effect turns into under reduced motion; not one of the choices
+const CALM_EFFECT = {
+    duration: 1200,
+    easing: 'ease-in-out',
+    elements: {
+        title: { keyframes: EFFECT_KEYFRAMES.fadeIn },
+        subtitle: { keyframes: EFFECT_KEYFRAMES.fadeIn },
+        message: { keyframes: EFFECT_KEYFRAMES.fadeIn }
+    }
+};
+
+// Effect Handle Class
+// What running an effect returns. finished resolves once it has played out (looping effects
+// never do) and rejects with an AbortError when it is cancelled; pause and play hold and
+// continue it and setRate changes its speed from where it is. run() effects pass the timers
+// they schedule on and call resolve() when done
+class EffectHandle {
+    constructor({ animations = [], timers = null, manual = false } = {}) {
+        this.animations = animations;
+        this.timers = timers;
+        this.resolve = () => {};
+        this.reject = () => {};
+        // Set by run effects that hold on to something (a listener) until they are cancelled
+        this.onCancel = () => {};
+        const parts = animations.map(animation => animation.finished);
+        if (manual) {
+            parts.push(new Promise((resolve, reject) => {
+                this.resolve = resolve;
+                this.reject = reject;
+            }));
+        }
+        this.finished = Promise.all(parts).then(() => undefined);
+        // Nothing has to wait for an effect, so a cancelled one isn't an unhandled rejection
+        this.finished.catch(() => {});
+    }
+    
+    // An animation that repeats forever never lets finished resolve
+    loops() {
+        return this.animations.some(animation => animation.effect && animation.effect.getTiming().iterations === Infinity);
+    }
+    
+    // Animations that have already played out are left alone: play() would rewind them
+    running() {
+        return this.animations.filter(animation => animation.playState !== 'finished');
+    }
+    
+    pause() {
+        this.running().forEach(animation => animation.pause());
+        if (this.timers) {
+            this.timers.pause();
+        }
+    }
+    
+    play() {
+        this.running().forEach(animation => animation.play());
+        if (this.timers) {
+            this.timers.resume();
+        }
+    }
+    
+    setRate(rate) {
+        this.running().forEach(animation => animation.updatePlaybackRate(rate));
+        if (this.timers) {
+            this.timers.setRate(rate);
+        }
+    }
+    
+    cancel() {
+        this.animations.forEach(animation => animation.cancel());
+        if (this.timers) {
+            this.timers.cancelAll();
+        }
+        this.onCancel();
+        this.reject(new DOMException('Effect cancelled', 'AbortError'));
+    }
+}
+
+// Animation Manager Class
+class AnimationManager {
+    // options.audio is the AudioEngine the karaoke effect follows; options.letter = false
+    // leaves the letter to a LetterReader
+    constructor(config = DEFAULT_CONFIG, options = {}) {
+        this.audio = options.audio || null;
+        this.currentEffect = config.effect;
+        this.isPlaying = true;
+        this.speed = config.speed;
+        this.elements = {
+            title: document.getElementById('main-title'),
+            subtitle: document.getElementById('subtitle'),
+            message: options.letter === false ? null : document.getElementById('message-text'),
+            heart: document.getElementById('main-heart')
+        };
+        
+        // The running effect's EffectHandle
+        this.handle = null;
+        
+        // Effect timers; switching effects cancels whatever the last one still had queued.
+        // They run at the playback speed, so effects schedule in 1× milliseconds
+        this.timers = scheduler.group();
+        this.timers.setRate(this.speed);
+        this.reducedMotion = motionPolicy.reduced;
+        this.init();
+        this.unsubscribeMotion = motionPolicy.subscribe(reduced => {
+            if (reduced !== this.reducedMotion) {
+                this.reducedMotion = reduced;
+                this.startAnimation();
+            }
+        });
+    }
+    
+    init() {
+        this.startAnimation();
+    }
+    
+    // Under reduced motion every effect becomes a plain fade; the chosen effect
+    // is remembered and comes back when motion is allowed again
+    runEffect(effectName) {
+        this.removeAllEffects();
+        const effect = this.reducedMotion ? CALM_EFFECT : EFFECT_REGISTRY.get(effectName);
+        this.handle = effect.run ? effect.run(this) : this.animateEffect(effect);
+        // Switching effects while paused leaves the new one waiting at its start
+        if (!this.isPlaying) {
+            this.handle.pause();
+        }
+        return this.handle;
+    }
+    
+    // Plays a declared effect (see registerEffect) with the Web Animations API
+    animateEffect(effect) {
+        const animations = [];
+        let staggered = 0;
+        Object.entries(effect.elements).forEach(([target, track]) => {
+            const element = this.elements[target];
+            const stagger = track.stagger === false ? 0 : staggered++ * (effect.stagger || 0);
+            if (!element || typeof element.animate !== 'function') {
+                return;
+            }
+            animations.push(element.animate(track.keyframes, {
+                duration: track.duration || effect.duration || 1000,
+                delay: (track.delay || 0) + stagger,
+                easing: track.easing || effect.easing || 'ease',
+                iterations: track.iterations || 1,
+                // Holds the first keyframe while waiting its turn, then hands back to the stylesheet
+                fill: 'backwards'
+            }));
+        });
+        // The timers let a looping effect be waited on (see StageManager.watchLetter) and held with it
+        const handle = new EffectHandle({ animations, timers: this.timers });
+        handle.setRate(this.speed);
+        return handle;
+    }
+    
+    removeAllEffects() {
+        if (this.handle) {
+            this.handle.cancel();
+            this.handle = null;
+        }
+        this.timers.cancelAll();
+        this.timers.resume();
+        Object.values(this.elements).forEach(element => {
+            if (element) {
+                element.className = element.className.replace(/\w+-effect/g, '');
+                element.style.animation = '';
+                element.style.opacity = '';
+                element.style.transform = '';
+                element.style.borderInlineEnd = '';
+            }
+        });
+        
+        // Restore text the typewriter was part way through
+        [this.elements.title, this.elements.subtitle].forEach(element => {
+            if (element && element.dataset.originalText !== undefined) {
+                element.textContent = element.dataset.originalText;
+                delete element.dataset.originalText;
+            }
+        });
+        
+        // Restore message text if it was modified
+        if (this.elements.message && this.elements.message.dataset.originalHTML) {
+            this.elements.message.innerHTML = this.elements.message.dataset.originalHTML;
+            delete this.elements.message.dataset.originalHTML;
+        }
+    }
+    
+    // Types the title and subtitle letter by letter, then reveals the message word by word.
+    // Letters and words are split the way the page's language does (see Locale)
+    typewriterEffect() {
+        const handle = new EffectHandle({ timers: this.timers, manual: true });
+        
+        // Store original HTML if not already stored
+        if (this.elements.message && !this.elements.message.dataset.originalHTML) {
+            this.elements.message.dataset.originalHTML = this.elements.message.innerHTML;
+        }
+        
+        // Store original text before modifying
+        [this.elements.title, this.elements.subtitle].forEach(element => {
+            if (element) {
+                element.dataset.originalText = element.textContent;
+            }
+        });
+        const titleText = i18n.graphemes(this.elements.title ? this.elements.title.textContent : '');
+        const subtitleText = i18n.graphemes(this.elements.subtitle ? this.elements.subtitle.textContent : '');
+        const titleLength = titleText.length;
+        const subtitleLength = subtitleText.length;
+        
+        // Handle title with typewriter
+        if (this.elements.title) {
+            this.elements.title.textContent = '';
+            this.elements.title.classList.add('typewriter-effect');
+            
+            let charIndex = 0;
+            const typeTitle = () => {
+                if (charIndex < titleLength) {
+                    this.elements.title.textContent += titleText[charIndex];
+                    charIndex++;
+                    this.timers.setTimer(typeTitle, 50);
+                } else {
+                    this.elements.title.classList.remove('typewriter-effect');
+                    this.elements.title.style.borderInlineEnd = 'none';
+                }
+            };
+            this.timers.setTimer(() => typeTitle(), 200);
+        }
+        
+        // Handle subtitle with typewriter
+        if (this.elements.subtitle) {
+            const subtitleDelay = titleLength * 50 + 500;
+            this.timers.setTimer(() => {
+                this.elements.subtitle.textContent = '';
+                this.elements.subtitle.classList.add('typewriter-effect');
+                
+                let charIndex = 0;
+                const typeSubtitle = () => {
+                    if (charIndex < subtitleLength) {
+                        this.elements.subtitle.textContent += subtitleText[charIndex];
+                        charIndex++;
+                        this.timers.setTimer(typeSubtitle, 40);
+                    } else {
+                        this.elements.subtitle.classList.remove('typewriter-effect');
+                        this.elements.subtitle.style.borderInlineEnd = 'none';
+                    }
+                };
+                typeSubtitle();
+            }, subtitleDelay);
+        }
+        
+        // Handle message with word-by-word reveal (better for responsive)
+        if (this.elements.message) {
+            const messageElement = this.elements.message;
+            const originalHTML = messageElement.dataset.originalHTML || messageElement.innerHTML;
+            
+            const tokens = AnimationManager.tokenize(originalHTML);
+            
+            messageElement.innerHTML = '';
+            messageElement.style.opacity = '1';
+            
+            let tokenIndex = 0;
+            const typeMessage = () => {
+                if (tokenIndex < tokens.length) {
+                    const token = tokens[tokenIndex];
+                    if (token.type === 'break') {
+                        messageElement.appendChild(document.createElement('br'));
+                        tokenIndex++;
+                        this.timers.setTimer(typeMessage, 50);
+                    } else if (token.content.trim() || token.content === ' ') {
+                        const span = document.createElement('span');
+                        span.textContent = token.content;
+                        span.style.opacity = '0';
+                        span.style.animation = 'fadeInWord 0.2s ease-in forwards';
+                        messageElement.appendChild(span);
+                        tokenIndex++;
+                        this.timers.setTimer(typeMessage, 25);
+                    } else {
+                        tokenIndex++;
+                        this.timers.setTimer(typeMessage, 10);
+                    }
+                } else {
+                    handle.resolve();
+                }
+            };
+            
+            const messageDelay = (titleLength * 50) + (subtitleLength * 40) + 1000;
+            this.timers.setTimer(() => {
+                typeMessage();
+            }, messageDelay);
+        } else {
+            handle.resolve();
+        }
+        return handle;
+    }
+    
+    // Splits message HTML into words, the whitespace between them and line breaks
+    static tokenize(html) {
+        // Parse HTML to preserve line breaks
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = html;
+        
+        // Process each node to preserve structure
+        const processNode = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return i18n.words(node.textContent).map(word => ({ type: 'text', content: word }));
+            } else if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'BR') {
+                return [{ type: 'break' }];
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                const children = Array.from(node.childNodes);
+                return children.flatMap(processNode);
+            }
+            return [];
+        };
+        
+        return Array.from(tempDiv.childNodes).flatMap(processNode);
+    }
+    
+    // Reveals the letter at the cue times of the playing track's lyrics, cue N showing line N
+    // (word by word when the cue times its words) and following the music through seeks and
+    // loops. Without music or lyrics the letter keeps the typewriter's pace, picking up from
+    // wherever the music left it
+    karaokeEffect() {
+        const entrance = this.animateEffect({
+            duration: 1500,
+            easing: 'ease-in-out',
+            elements: {
+                title: { keyframes: EFFECT_KEYFRAMES.fadeIn },
+                subtitle: { keyframes: EFFECT_KEYFRAMES.fadeIn },
+                heart: { keyframes: EFFECT_KEYFRAMES.elegantFadeIn }
+            }
+        });
+        // Done once the whole letter has been shown
+        const handle = new EffectHandle({ animations: entrance.animations, timers: this.timers, manual: true });
+        const messageElement = this.elements.message;
+        if (!messageElement) {
+            handle.resolve();
+            return handle;
+        }
+        
+        // Each word gets its typewriter time (pace, ms) now and its cue time (seconds) once lyrics play
+        messageElement.dataset.originalHTML = messageElement.innerHTML;
+        messageElement.innerHTML = '';
+        const words = [];
+        const lines = [];
+        let line = [];
+        let pace = 1000;
+        AnimationManager.tokenize(messageElement.dataset.originalHTML).forEach(token => {
+            if (token.type === 'break') {
+                messageElement.appendChild(document.createElement('br'));
+                if (line.length > 0) {
+                    lines.push(line);
+                    line = [];
+                }
+                pace += 50;
+            } else if (token.content.trim()) {
+                const span = document.createElement('span');
+                span.className = 'karaoke-word';
+                span.textContent = token.content;
+                messageElement.appendChild(span);
+                const word = { span, pace, time: 0, shown: false };
+                line.push(word);
+                words.push(word);
+                pace += 25;
+            } else if (token.content) {
+                messageElement.appendChild(document.createTextNode(token.content));
+                pace += 10;
+            }
+        });
+        if (line.length > 0) {
+            lines.push(line);
+        }
+        
+        const reveal = (word, shown) => {
+            if (word.shown !== shown) {
+                word.shown = shown;
+                word.span.classList.toggle('sung', shown);
+            }
+        };
+        let timedCues = null;
+        let isSynced = false;
+        let clock = 0;
+        let last = performance.now();
+        let isScheduled = false;
+        const schedule = () => {
+            if (!isScheduled) {
+                isScheduled = true;
+                this.timers.requestFrame(step);
+            }
+        };
+        const step = () => {
+            isScheduled = false;
+            const now = performance.now();
+            const elapsed = Math.min(now - last, 100);
+            last = now;
+            
+            const position = this.audio ? this.audio.position() : null;
+            if (position) {
+                if (position.cues !== timedCues) {
+                    timedCues = position.cues;
+                    AnimationManager.timeWords(lines, timedCues);
+                }
+                isSynced = true;
+                words.forEach(word => reveal(word, word.time <= position.time));
+            } else {
+                if (isSynced) {
+                    isSynced = false;
+                    clock = Math.max(0, ...words.filter(word => word.shown).map(word => word.pace));
+                }
+                clock += elapsed * this.speed;
+                words.forEach(word => {
+                    if (word.pace <= clock) {
+                        reveal(word, true);
+                    }
+                });
+            }
+            // With every word out and no music moving the cues, there is nothing left to do
+            // until a track with lyrics plays (again), and without lyrics nothing at all
+            if (words.every(word => word.shown)) {
+                handle.resolve();
+                if (!position) {
+                    if (!this.audio || !this.audio.hasLyrics()) {
+                        unsubscribe();
+                    }
+                    return;
+                }
+            }
+            schedule();
+        };
+        let unsubscribe = () => {};
+        if (this.audio) {
+            unsubscribe = this.audio.onPlay(() => {
+                last = performance.now();
+                schedule();
+            });
+            // Switching effects or leaving the stage lets go of the words
+            handle.onCancel = unsubscribe;
+        }
+        schedule();
+        return handle;
+    }
+    
+    // Line N takes cue N's time; lines past the last cue come with it
+    static timeWords(lines, cues) {
+        lines.forEach((line, index) => {
+            const cue = cues[Math.min(index, cues.length - 1)];
+            line.forEach((word, wordIndex) => {
+                word.time = cue.words ? cue.words[Math.min(wordIndex, cue.words.length - 1)].time : cue.time;
+            });
+        });
+    }
+    
+    // Returns the effect's EffectHandle, null for an unknown effect
+    setEffect(effectName) {
+        if (!EFFECT_REGISTRY.has(effectName)) {
+            return null;
+        }
+        this.currentEffect = effectName;
+        return this.runEffect(effectName);
+    }
+    
+    startAnimation() {
+        return this.isPlaying ? this.runEffect(this.currentEffect) : null;
+    }
+    
+    // Holds the running effect exactly where it is; karaoke catches up with the music on resume
+    pauseAnimation() {
+        this.isPlaying = false;
+        if (this.handle) {
+            this.handle.pause();
+        }
+    }
+    
+    resumeAnimation() {
+        this.isPlaying = true;
+        if (this.handle) {
+            this.handle.play();
+            return;
+        }
+        this.startAnimation();
+    }
+    
+    // Applies to what is left of the running effect, nothing restarts
+    setSpeed(speed) {
+        this.speed = speed;
+        this.timers.setRate(speed);
+        if (this.handle) {
+            this.handle.setRate(speed);
+        }
+    }
+    
+    destroy() {
+        this.removeAllEffects();
+        this.timers.destroy();
+        this.unsubscribeMotion();
+    }
+}
+
+// Code Typer Class
+// Types a source snippet into the stage 1 editor one character at a time,
+// with syntax highlighting, a caret, uneven pacing and the odd corrected typo
+const JS_KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do',
+    'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+    'let', 'new', 'null', 'of', 'return', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+    'undefined', 'var', 'while', 'yield'
+]);
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+class CodeTyper {
+    constructor(container, options = {}) {
+        this.lineNumbers = container.querySelector('.line-numbers');
+        this.codeContent = container.querySelector('.code-content');
+        this.options = { ...DEFAULT_CONFIG.typing, ...options };
+        
+        this.caret = document.createElement('span');
+        this.caret.className = 'code-caret';
+        this.caret.setAttribute('aria-hidden', 'true');
+        
+        this.currentLine = null;
+        this.currentSpan = null;
+        this.lineCount = 0;
+        this.atLineStart = true;
+        this.listeners = new AbortController();
+        
+        // Keep the gutter aligned when the code scrolls
+        this.codeContent.addEventListener('scroll', () => {
+            this.lineNumbers.scrollTop = this.codeContent.scrollTop;
+        }, { passive: true, signal: this.listeners.signal });
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        this.caret.remove();
+    }
+    
+    // Resolves once the whole snippet has been typed, rejects if the signal aborts
+    async type(source, signal) {
+        this.signal = signal;
+        this.lineNumbers.innerHTML = '';
+        this.codeContent.innerHTML = '';
+        this.lineCount = 0;
+        this.caret.classList.add('busy');
+        this.newLine();
+        
+        for (const token of CodeTyper.tokenize(source)) {
+            for (const char of Array.from(token.text)) {
+                if (char === '\n') {
+                    this.newLine();
+                    await wait(this.delayFor(char), signal);
+                    continue;
+                }
+                // Editors auto-indent, so leading whitespace appears at once
+                if (this.atLineStart && /\s/.test(char)) {
+                    this.insert(char, token.className);
+                    continue;
+                }
+                if (/[a-z]/i.test(char) && Math.random() < this.options.typoRate) {
+                    await this.typo(char, token.className);
+                }
+                this.insert(char, token.className);
+                this.atLineStart = false;
+                await wait(this.delayFor(char), signal);
+            }
+        }
+        
+        this.caret.classList.remove('busy');
+    }
+    
+    newLine() {
+        this.lineCount++;
+        const number = document.createElement('span');
+        number.textContent = this.lineCount;
+        this.lineNumbers.appendChild(number);
+        
+        this.currentLine = document.createElement('div');
+        this.currentLine.className = 'code-line';
+        this.currentLine.appendChild(this.caret);
+        this.codeContent.appendChild(this.currentLine);
+        this.currentSpan = null;
+        this.atLineStart = true;
+        
+        this.codeContent.scrollTop = this.codeContent.scrollHeight;
+    }
+    
+    insert(char, className) {
+        if (!this.currentSpan || this.currentSpan.dataset.token !== (className || '')) {
+            this.currentSpan = document.createElement('span');
+            this.currentSpan.dataset.token = className || '';
+            if (className) {
+                this.currentSpan.className = className;
+            }
+            this.currentLine.insertBefore(this.currentSpan, this.caret);
+        }
+        this.currentSpan.textContent += char;
+    }
+    
+    backspace() {
+        if (!this.currentSpan) {
+            return;
+        }
+        const chars = Array.from(this.currentSpan.textContent);
+        chars.pop();
+        if (chars.length) {
+            this.currentSpan.textContent = chars.join('');
+        } else {
+            this.currentSpan.remove();
+            const previous = this.caret.previousElementSibling;
+            this.currentSpan = previous && previous.dataset.token !== undefined ? previous : null;
+        }
+    }
+    
+    // Hits a neighboring key, notices, and deletes it again
+    async typo(char, className) {
+        const lower = char.toLowerCase();
+        const row = KEYBOARD_ROWS.find(keys => keys.includes(lower));
+        const index = row.indexOf(lower);
+        const neighbors = [row[index - 1], row[index + 1]].filter(Boolean);
+        let wrong = neighbors[Math.floor(Math.random() * neighbors.length)];
+        if (char !== lower) {
+            wrong = wrong.toUpperCase();
+        }
+        
+        this.insert(wrong, className);
+        await wait(this.options.speed * 8, this.signal);
+        this.backspace();
+        await wait(this.options.speed * 3, this.signal);
+    }
+    
+    delayFor(char) {
+        const { speed, jitter } = this.options;
+        const base = speed * (1 + (Math.random() * 2 - 1) * jitter);
+        if (char === '\n') {
+            return base * 6;
+        }
+        if (/[;{},>]/.test(char)) {
+            return base * 3;
+        }
+        return base;
+    }
+    
+    // Splits HTML with embedded <style> and <script> blocks into
+    // { text, className } tokens using the editor's syntax classes
+    static tokenize(source) {
+        const tokens = [];
+        const push = (text, className = null) => {
+            if (!text) {
+                return;
+            }
+            const last = tokens[tokens.length - 1];
+            if (last && last.className === className) {
+                last.text += text;
+            } else {
+                tokens.push({ text, className });
+            }
+        };
+        
+        let mode = 'html';
+        let i = 0;
+        while (i < source.length) {
+            if (mode !== 'html') {
+                const closing = mode === 'css' ? '</style' : '</script';
+                const end = source.toLowerCase().indexOf(closing, i);
+                const stop = end === -1 ? source.length : end;
+                if (mode === 'css') {
+                    CodeTyper.tokenizeCSS(source.slice(i, stop), push);
+                } else {
+                    CodeTyper.tokenizeJS(source.slice(i, stop), push);
+                }
+                i = stop;
+                mode = 'html';
+                continue;
+            }
+            
+            const rest = source.slice(i);
+            let match;
+            if ((match = rest.match(/^<!--[\s\S]*?(?:-->|$)/))) {
+                push(match[0], 'code-comment');
+            } else if ((match = rest.match(/^<![^>]*>?/))) {
+                push(match[0], 'html-tag');
+            } else if ((match = rest.match(/^<\/?[a-zA-Z][\w-]*/))) {
+                push(match[0], 'html-tag');
+                i = CodeTyper.tokenizeAttributes(source, i + match[0].length, push);
+                const tagName = match[0].replace(/^<\/?/, '').toLowerCase();
+                if (!match[0].startsWith('</') && (tagName === 'style' || tagName === 'script')) {
+                    mode = tagName === 'style' ? 'css' : 'js';
+                }
+                continue;
+            } else {
+                match = rest.match(/^[^<]+|^</);
+                push(match[0]);
+            }
+            i += match[0].length;
+        }
+        return tokens;
+    }
+    
+    // Consumes attributes up to and including the closing ">" of a tag
+    static tokenizeAttributes(source, start, push) {
+        let i = start;
+        while (i < source.length) {
+            const rest = source.slice(i);
+            let match;
+            if ((match = rest.match(/^\/?>/))) {
+                push(match[0], 'html-tag');
+                return i + match[0].length;
+            }
+            if ((match = rest.match(/^\s+/)) || (match = rest.match(/^=/))) {
+                push(match[0]);
+            } else if ((match = rest.match(/^("[^"]*"?|'[^']*'?)/))) {
+                push(match[0], 'html-string');
+            } else if ((match = rest.match(/^[^\s=>"'/]+/))) {
+                push(match[0], 'html-attr');
+            } else {
+                match = [rest.charAt(0)];
+                push(match[0]);
+            }
+            i += match[0].length;
+        }
+        return i;
+    }
+    
+    static tokenizeCSS(source, push) {
+        let inBlock = false;
+        let inValue = false;
+        let i = 0;
+        while (i < source.length) {
+            const rest = source.slice(i);
+            let match;
+            if ((match = rest.match(/^\/\*[\s\S]*?(?:\*\/|$)/))) {
+                push(match[0], 'code-comment');
+            } else if ((match = rest.match(/^\s+/))) {
+                push(match[0]);
+            } else if ((match = rest.match(/^[{}:;]/))) {
+                const char = match[0];
+                if (char === '{' || char === '}') {
+                    inBlock = char === '{';
+                    inValue = false;
+                } else if (inBlock) {
+                    inValue = char === ':';
+                }
+                push(char, !inBlock && char === ':' ? 'css-selector' : null);
+            } else if (!inBlock && (match = rest.match(/^[^{}\s:]+/))) {
+                push(match[0], 'css-selector');
+            } else if (inValue && (match = rest.match(/^[^;{}\n]*[^;{}\s]/))) {
+                push(match[0], 'css-value');
+            } else if ((match = rest.match(/^[^:;{}\s]+/))) {
+                push(match[0], 'css-property');
+            } else {
+                match = [rest.charAt(0)];
+                push(match[0]);
+            }
+            i += match[0].length;
+        }
+    }
+    
+    static tokenizeJS(source, push) {
+        const pattern = /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|("(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?|`(?:\\.|[^`\\])*`?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)|([\s\S])/g;
+        let match;
+        while ((match = pattern.exec(source))) {
+            const [text, comment, string, number, word] = match;
+            if (comment) {
+                push(text, 'code-comment');
+            } else if (string) {
+                push(text, 'js-string');
+            } else if (number) {
+                push(text, 'js-number');
+            } else if (word && JS_KEYWORDS.has(word)) {
+                push(text, 'js-keyword');
+            } else if (word && /^\s*\(/.test(source.slice(pattern.lastIndex))) {
+                push(text, 'js-function');
+            } else {
+                push(text);
+            }
+        }
+    }
+}
+
+// Terminal Player Class
+// Plays a scripted session into the stage 2 terminal line by line
+const TERMINAL_STEP_TYPES = ['command', 'output', 'spinner', 'progress'];
+const TERMINAL_STYLES = ['success', 'error', 'info', 'muted'];
+const SPINNER_FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const PROGRESS_WIDTH = 20;
+
+class TerminalPlayer {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.typingSpeed = options.typingSpeed || 45;
+        this.values = options.values || {};
+    }
+    
+    // Resolves after the last step has finished, rejects if the signal aborts
+    async play(script, signal) {
+        this.signal = signal;
+        this.container.innerHTML = '';
+        for (const step of script) {
+            await wait(step.delay !== undefined ? step.delay : 150, signal);
+            const type = TERMINAL_STEP_TYPES.find(name => step[name] !== undefined);
+            switch (type) {
+                case 'command':
+                    await this.typeCommand(step);
+                    break;
+                case 'output':
+                    this.printOutput(step);
+                    break;
+                case 'spinner':
+                    await this.runSpinner(step);
+                    break;
+                case 'progress':
+                    await this.runProgress(step);
+                    break;
+            }
+        }
+    }
+    
+    addLine(text = '', style) {
+        const line = document.createElement('div');
+        line.className = 'terminal-line';
+        if (style) {
+            line.classList.add(style);
+        }
+        line.textContent = text;
+        this.container.appendChild(line);
+        this.container.scrollTop = this.container.scrollHeight;
+        return line;
+    }
+    
+    fill(text) {
+        return fillTemplate(text, this.values);
+    }
+    
+    async typeCommand(step) {
+        const line = this.addLine('$ ', step.style);
+        line.classList.add('command');
+        for (const char of Array.from(this.fill(step.command))) {
+            line.textContent += char;
+            await wait(this.typingSpeed * (0.5 + Math.random()), this.signal);
+        }
+        // Beat before "pressing enter"
+        await wait(this.typingSpeed * 4, this.signal);
+    }
+    
+    printOutput(step) {
+        const lines = Array.isArray(step.output) ? step.output : [step.output];
+        lines.forEach(text => this.addLine(this.fill(text), step.style));
+    }
+    
+    async runSpinner(step) {
+        const label = this.fill(step.spinner);
+        const line = this.addLine('', 'spinner');
+        const duration = step.duration !== undefined ? step.duration : 1000;
+        const frameTime = 80;
+        for (let elapsed = 0, frame = 0; elapsed < duration; elapsed += frameTime, frame++) {
+            line.textContent = `${SPINNER_FRAMES[frame % SPINNER_FRAMES.length]} ${label}`;
+            await wait(frameTime, this.signal);
+        }
+        line.classList.remove('spinner');
+        if (step.style) {
+            line.classList.add(step.style);
+        }
+        line.textContent = this.fill(step.done !== undefined ? step.done : label);
+    }
+    
+    async runProgress(step) {
+        const label = this.fill(step.progress);
+        const line = this.addLine('', 'progress');
+        const duration = step.duration !== undefined ? step.duration : 1500;
+        const steps = 20;
+        for (let i = 0; i <= steps; i++) {
+            const filled = Math.round((i / steps) * PROGRESS_WIDTH);
+            const percent = Math.round((i / steps) * 100);
+            line.textContent = `${label} [${'█'.repeat(filled)}${'░'.repeat(PROGRESS_WIDTH - filled)}] ${percent}%`;
+            await wait(duration / steps, this.signal);
+        }
+        line.classList.remove('progress');
+        if (step.style) {
+            line.classList.add(step.style);
+        }
+        if (step.done !== undefined) {
+            line.textContent = this.fill(step.done);
+        }
+    }
+}
+
+// Lyrics Track Class
+// Reads timed lyrics from an LRC or WebVTT file into cues sorted by time: { time, text, words },
+// times in seconds. words lists { time, text } when the file also times single words
+// (LRC <mm:ss.xx>, WebVTT <hh:mm:ss.ttt>) and is null when it doesn't
+const CUE_TIME = /^\d+(?::\d{1,2}){1,2}(?:\.\d+)?$/;
+
+class LyricsTrack {
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url} answered ${response.status}`);
+        }
+        return LyricsTrack.parse(await response.text());
+    }
+    
+    static parse(text) {
+        const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const cues = /^WEBVTT/.test(source) ? LyricsTrack.parseVTT(source) : LyricsTrack.parseLRC(source);
+        return cues.sort((a, b) => a.time - b.time);
+    }
+    
+    // "01:02.50" or "00:01:02.500" in seconds
+    static parseTime(value) {
+        return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+    
+    // [mm:ss.xx] tags start a line (several when it repeats), [offset:ms] shifts them all;
+    // other tags ([ar:], [ti:], ...) are metadata and skipped
+    static parseLRC(source) {
+        const offsetTag = /^\[offset:\s*([+-]?\d+)\]/im.exec(source);
+        const offset = offsetTag ? Number(offsetTag[1]) / 1000 : 0;
+        const cues = [];
+        source.split('\n').forEach(line => {
+            let rest = line.trim();
+            const times = [];
+            let tag;
+            while ((tag = /^\[([^\]]+)\]/.exec(rest)) && CUE_TIME.test(tag[1])) {
+                times.push(LyricsTrack.parseTime(tag[1]));
+                rest = rest.slice(tag[0].length);
+            }
+            // A repeated line's word times move with it
+            times.forEach(time => cues.push(LyricsTrack.cue(time, rest, offset, time - times[0])));
+        });
+        return cues;
+    }
+    
+    // Blocks without a "-->" timing line (the header, NOTE, STYLE) are skipped
+    static parseVTT(source) {
+        const cues = [];
+        source.split(/\n{2,}/).forEach(block => {
+            const lines = block.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            const start = timing === -1 ? '' : lines[timing].split('-->')[0].trim();
+            if (CUE_TIME.test(start)) {
+                cues.push(LyricsTrack.cue(LyricsTrack.parseTime(start), lines.slice(timing + 1).join(' ')));
+            }
+        });
+        return cues;
+    }
+    
+    // A positive LRC offset shows the lyrics sooner; shift moves inline word times
+    static cue(time, text, offset = 0, shift = 0) {
+        const words = [];
+        let wordTime = time;
+        let isTimed = false;
+        text.split(/(<[^>]*>)/).forEach(part => {
+            if (part.startsWith('<')) {
+                // Inline timestamps time the words after them, other markup (<v Name>, <c>) is dropped
+                const stamp = part.slice(1, -1);
+                if (CUE_TIME.test(stamp)) {
+                    wordTime = LyricsTrack.parseTime(stamp) + shift;
+                    isTimed = true;
+                }
+                return;
+            }
+            part.split(/\s+/).filter(Boolean).forEach(word => {
+                words.push({ time: Math.max(0, wordTime - offset), text: word });
+            });
+        });
+        return {
+            time: Math.max(0, time - offset),
+            text: words.map(word => word.text).join(' '),
+            words: isTimed ? words : null
+        };
+    }
+}
+
+// Audio Engine Class
+// Plays the surprise's music: playlist tracks crossfade into each other, playback fades in and
+// out, and a blocked autoplay is reported through onChange so the page can ask for a tap.
+// Same-origin tracks are routed through an AnalyserNode whose bass level drives the beat
+// subscribers get every frame (cross-origin audio would play silent through Web Audio)
+const MUSIC_FADE = 600;
+// Lowest frequency bins the beat is read from, how fast the running average follows them,
+// how strongly a rise above the average counts and how much of a beat is left after a frame
+const BEAT_BINS = 8;
+const BEAT_AVERAGE_RATE = 0.05;
+const BEAT_SENSITIVITY = 4;
+const BEAT_DECAY = 0.9;
+
+class AudioEngine {
+    constructor(audio, music, options = {}) {
+        this.audio = audio;
+        this.onChange = options.onChange || (() => {});
+        this.scheduler = scheduler.group();
+        this.listeners = new AbortController();
+        this.subscribers = new Set();
+        // Called whenever a track starts (or starts again), see onPlay()
+        this.playListeners = new Set();
+        // Web Audio nodes by element; an element can only ever be connected once
+        this.nodes = new WeakMap();
+        this.music = null;
+        this.tracks = [];
+        this.current = 0;
+        this.playing = false;
+        this.blocked = false;
+        // Set once no source of any track could be loaded (audio/theme.mp3 not added, say)
+        this.unavailable = false;
+        this.context = null;
+        this.analyser = null;
+        this.bins = null;
+        this.average = 0;
+        this.beat = 0;
+        this.frame = null;
+        this.load(music);
+    }
+    
+    // Every track as { sources, type, lyrics }; src is the only track when there is no playlist
+    static tracks(music) {
+        if (music.playlist.length === 0) {
+            return [{ sources: [].concat(music.src), type: music.type, lyrics: music.lyrics }];
+        }
+        return music.playlist.map(entry => {
+            const track = ConfigLoader.isPlainObject(entry) ? entry : { src: entry };
+            return { sources: [].concat(track.src), type: track.type, lyrics: track.lyrics || null };
+        });
+    }
+    
+    static isSameOrigin(url) {
+        try {
+            const { origin, protocol } = new URL(url, window.location.href);
+            return /^https?:$/.test(protocol) && origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // The page's <audio> plays the first track, the others get a copy of it
+    load(music) {
+        this.stop();
+        this.listeners.abort();
+        this.listeners = new AbortController();
+        this.tracks.forEach(track => {
+            if (track.element !== this.audio) {
+                track.element.remove();
+            }
+        });
+        
+        this.music = music;
+        this.current = 0;
+        this.unavailable = false;
+        const tracks = music ? AudioEngine.tracks(music) : [];
+        this.tracks = tracks.map((track, index) => {
+            const element = index === 0 ? this.audio : this.audio.cloneNode(false);
+            if (element !== this.audio) {
+                element.removeAttribute('id');
+                this.audio.parentNode.insertBefore(element, this.audio.nextSibling);
+            }
+            element.innerHTML = '';
+            element.loop = tracks.length === 1;
+            // Each source is tried in turn when the previous one fails to load
+            track.sources.forEach(src => {
+                const source = document.createElement('source');
+                source.src = src;
+                if (track.type) {
+                    source.type = track.type;
+                }
+                element.appendChild(source);
+            });
+            element.load();
+            
+            const entry = { element, level: 0, fade: null, node: this.nodes.get(element) || null, cues: null, missing: false };
+            // The last source failing means none of them loaded
+            const last = element.lastElementChild;
+            if (last) {
+                last.addEventListener('error', () => {
+                    entry.missing = true;
+                    if (this.tracks.every(other => other.missing)) {
+                        this.unavailable = true;
+                        console.info(`No music found at ${track.sources.join(', ')}, the music button is hidden (see audio/README.md)`);
+                        this.stop();
+                        this.onChange();
+                    }
+                }, { signal: this.listeners.signal });
+            }
+            if (track.lyrics) {
+                LyricsTrack.load(track.lyrics)
+                    .then(cues => {
+                        entry.cues = cues;
+                    })
+                    .catch(error => console.warn(`Lyrics ${track.lyrics} not loaded:`, error));
+            }
+            this.setLevel(entry, 0);
+            this.listen(entry, index);
+            return entry;
+        });
+    }
+    
+    listen(track, index) {
+        const { signal } = this.listeners;
+        const { element } = track;
+        // Start the next track while this one still has `crossfade` ms to go
+        element.addEventListener('timeupdate', () => {
+            const remaining = (element.duration - element.currentTime) * 1000;
+            if (this.playing && index === this.current && this.tracks.length > 1 && remaining <= this.music.crossfade) {
+                this.advance();
+            }
+        }, { signal });
+        element.addEventListener('ended', () => {
+            if (this.playing && index === this.current) {
+                this.advance();
+            }
+        }, { signal });
+        element.addEventListener('play', () => {
+            this.playListeners.forEach(listener => listener());
+        }, { signal });
+    }
+    
+    // listener is called each time a track starts playing; returns the unsubscribe
+    onPlay(listener) {
+        this.playListeners.add(listener);
+        return () => this.playListeners.delete(listener);
+    }
+    
+    isPlaying() {
+        return this.playing;
+    }
+    
+    // Whether any track comes with lyrics the karaoke effect can follow
+    hasLyrics() {
+        return Boolean(this.music) && AudioEngine.tracks(this.music).some(track => track.lyrics);
+    }
+    
+    // The playing track's time (seconds) and lyric cues, or null when no music with lyrics plays
+    position() {
+        const track = this.tracks[this.current];
+        if (!this.playing || !track || track.element.paused || !track.cues || track.cues.length === 0) {
+            return null;
+        }
+        return { time: track.element.currentTime, cues: track.cues };
+    }
+    
+    // Resolves true once playing, false when the browser wants a tap first (blocked)
+    async play(duration = this.music ? this.music.fadeIn : 0) {
+        if (!this.music || this.unavailable || this.playing) {
+            return this.playing;
+        }
+        this.playing = true;
+        this.resumeContext();
+        try {
+            await this.startTrack(this.tracks[this.current], duration);
+        } catch (error) {
+            this.playing = false;
+            this.blocked = error.name === 'NotAllowedError';
+            if (!this.blocked) {
+                console.warn('Music could not be played:', error);
+            }
+            this.onChange();
+            return false;
+        }
+        this.blocked = false;
+        this.onChange();
+        return true;
+    }
+    
+    pause(duration = MUSIC_FADE) {
+        if (!this.playing) {
+            return;
+        }
+        this.playing = false;
+        this.tracks.forEach(track => {
+            if (!track.element.paused) {
+                this.fade(track, 0, duration, () => track.element.pause());
+            }
+        });
+        this.onChange();
+    }
+    
+    toggle() {
+        if (this.playing) {
+            this.pause();
+            return Promise.resolve(false);
+        }
+        return this.play(MUSIC_FADE);
+    }
+    
+    // Halts everything at once, without fades
+    stop() {
+        this.playing = false;
+        this.tracks.forEach(track => {
+            track.fade = null;
+            track.element.pause();
+            this.setLevel(track, 0);
+        });
+    }
+    
+    async startTrack(track, duration) {
+        await track.element.play();
+        if (!this.playing) {
+            track.element.pause();
+            return;
+        }
+        this.connect(track);
+        this.fade(track, this.music.volume, duration);
+    }
+    
+    advance() {
+        const from = this.tracks[this.current];
+        this.current = (this.current + 1) % this.tracks.length;
+        const to = this.tracks[this.current];
+        this.fade(from, 0, this.music.crossfade, () => from.element.pause());
+        to.element.currentTime = 0;
+        this.startTrack(to, this.music.crossfade).catch(error => console.warn('Next track could not be played:', error));
+    }
+    
+    // Fades run on animation frames; while the page is hidden they finish at once
+    fade(track, to, duration, done = null) {
+        if (duration <= 0 || this.scheduler.isHeld()) {
+            track.fade = null;
+            this.setLevel(track, to);
+            if (done) {
+                done();
+            }
+            return;
+        }
+        track.fade = { from: track.level, to, start: performance.now(), duration, done };
+        this.run();
+    }
+    
+    setLevel(track, level) {
+        track.level = level;
+        if (track.node) {
+            track.node.gain.gain.value = level;
+        } else {
+            track.element.volume = level;
+        }
+    }
+    
+    createContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            return null;
+        }
+        const context = new AudioContextClass();
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 256;
+        this.bins = new Uint8Array(this.analyser.frequencyBinCount);
+        this.analyser.connect(context.destination);
+        // A suspended context would silence what goes through it, so tracks wait until it runs
+        context.addEventListener('statechange', () => this.tracks.forEach(track => this.connect(track)));
+        return context;
+    }
+    
+    resumeContext() {
+        if (!this.music.reactive) {
+            return;
+        }
+        if (!this.context) {
+            this.context = this.createContext();
+        }
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+    }
+    
+    connect(track) {
+        const { element } = track;
+        if (track.node || !this.music.reactive || !this.context || this.context.state !== 'running' ||
+            !element.currentSrc || !AudioEngine.isSameOrigin(element.currentSrc)) {
+            return;
+        }
+        try {
+            const source = this.context.createMediaElementSource(element);
+            const gain = this.context.createGain();
+            source.connect(gain).connect(this.analyser);
+            track.node = { source, gain };
+            this.nodes.set(element, track.node);
+        } catch (error) {
+            console.warn('Music stays unanalysed:', error);
+            return;
+        }
+        element.volume = 1;
+        this.setLevel(track, track.level);
+        this.run();
+    }
+    
+    // listener(beat) gets the beat strength from 0 to 1 every frame while music plays
+    subscribe(listener) {
+        this.subscribers.add(listener);
+        this.run();
+        return () => this.subscribers.delete(listener);
+    }
+    
+    run() {
+        if (this.frame === null) {
+            this.frame = this.scheduler.requestFrame(() => this.tick());
+        }
+    }
+    
+    tick() {
+        this.frame = null;
+        const now = performance.now();
+        let active = false;
+        this.tracks.forEach(track => {
+            if (!track.fade) {
+                return;
+            }
+            const { from, to, start, duration, done } = track.fade;
+            const progress = Math.min(1, (now - start) / duration);
+            this.setLevel(track, from + (to - from) * progress);
+            if (progress < 1) {
+                active = true;
+            } else {
+                track.fade = null;
+                if (done) {
+                    done();
+                }
+            }
+        });
+        
+        if (this.analyser && this.subscribers.size > 0 && (this.playing || this.beat > 0)) {
+            this.measureBeat();
+            this.subscribers.forEach(listener => listener(this.beat));
+            active = true;
+        }
+        if (active) {
+            this.run();
+        }
+    }
+    
+    // A beat is the bass rising above its running average; it decays back over a few frames
+    measureBeat() {
+        if (!this.playing) {
+            this.beat = this.beat * BEAT_DECAY < 0.01 ? 0 : this.beat * BEAT_DECAY;
+            return;
+        }
+        this.analyser.getByteFrequencyData(this.bins);
+        let bass = 0;
+        for (let i = 0; i < BEAT_BINS; i++) {
+            bass += this.bins[i];
+        }
+        bass /= BEAT_BINS * 255;
+        this.average += (bass - this.average) * BEAT_AVERAGE_RATE;
+        const onset = Math.min(1, Math.max(0, (bass - this.average) * BEAT_SENSITIVITY));
+        this.beat = Math.max(onset, this.beat * BEAT_DECAY);
+    }
+    
+    destroy() {
+        this.load(null);
+        this.listeners.abort();
+        this.scheduler.destroy();
+        this.subscribers.clear();
+        this.playListeners.clear();
+        if (this.context) {
+            this.context.close().catch(() => {});
+        }
+    }
+}
+
+// Letter Reader Class
+// Shows the letter in #letter-reader instead of #message-text when config.reader asks for it.
+// 'pages' splits it into cards that fit the reader's height, a page break only ever falling
+// between paragraphs, and re-fits them when the window changes size; 'scroll' lists the
+// paragraphs and reveals each one as it scrolls into view
+// Share of a paragraph that has to be on screen before it is revealed
+const READER_REVEAL_THRESHOLD = 0.2;
+
+class LetterReader {
+    constructor(root, mode) {
+        this.root = root;
+        this.mode = mode;
+        this.pagesElement = root.querySelector('.letter-pages');
+        this.indicator = root.querySelector('.letter-indicator');
+        this.prevButton = root.querySelector('.letter-prev');
+        this.nextButton = root.querySelector('.letter-next');
+        this.blocks = [];
+        // Each page's element and the index of the paragraph it starts with
+        this.pages = [];
+        this.page = 0;
+        this.paragraphs = [];
+        this.observer = null;
+        this.layoutFrame = null;
+        this.scheduler = scheduler.group();
+        this.listeners = new AbortController();
+        this.unsubscribeScroll = () => {};
+        
+        root.hidden = false;
+        root.classList.add(mode);
+        const { signal } = this.listeners;
+        if (mode === 'pages') {
+            // Focusable so the arrow keys work and a page taller than the screen can scroll
+            this.pagesElement.tabIndex = 0;
+            this.prevButton.addEventListener('click', () => this.turn(-1), { signal });
+            this.nextButton.addEventListener('click', () => this.turn(1), { signal });
+            root.addEventListener('keydown', (e) => this.handleKey(e), { signal });
+            // Pages run right to left in rtl languages, so swiping right moves forward there
+            const forward = i18n.dir === 'rtl' ? 'right' : 'left';
+            root.addEventListener('swipe', (e) => this.turn(e.detail.direction === forward ? 1 : -1), { signal });
+            window.addEventListener('resize', () => this.scheduleLayout(), { signal });
+        } else {
+            this.unsubscribeScroll = onScrollFrame(() => this.updateIndicator());
+        }
+    }
+    
+    // blocks are the letter's paragraphs as HTML (see renderLetterBlocks)
+    render(blocks) {
+        this.blocks = blocks;
+        this.pages = [];
+        this.page = 0;
+        this.layout();
+    }
+    
+    layout() {
+        if (this.mode === 'pages') {
+            this.paginate();
+        } else {
+            this.list();
+        }
+    }
+    
+    // Lays the pages out again once the size has settled, keeping the paragraph that was on top
+    scheduleLayout() {
+        this.scheduler.cancelFrame(this.layoutFrame);
+        this.layoutFrame = this.scheduler.requestFrame(() => this.layout());
+    }
+    
+    createParagraph(html) {
+        const paragraph = document.createElement('p');
+        paragraph.className = 'letter-paragraph';
+        paragraph.innerHTML = html;
+        return paragraph;
+    }
+    
+    // A paragraph taller than a whole page gets a page to itself, which then scrolls
+    paginate() {
+        const top = this.pages.length > 0 ? this.pages[this.page].first : 0;
+        this.pagesElement.innerHTML = '';
+        this.pages = [];
+        let page = null;
+        this.blocks.forEach((html, index) => {
+            const paragraph = this.createParagraph(html);
+            if (page) {
+                page.element.appendChild(paragraph);
+                if (page.element.scrollHeight <= page.element.clientHeight) {
+                    return;
+                }
+                paragraph.remove();
+            }
+            const element = document.createElement('section');
+            element.className = 'letter-page';
+            element.setAttribute('aria-roledescription', 'page');
+            element.appendChild(paragraph);
+            this.pagesElement.appendChild(element);
+            page = { element, first: index };
+            this.pages.push(page);
+        });
+        
+        const current = this.pages.reduce((found, candidate, index) => (candidate.first <= top ? index : found), 0);
+        this.show(current);
+    }
+    
+    show(index) {
+        this.page = Math.max(0, Math.min(index, this.pages.length - 1));
+        this.pages.forEach((page, pageIndex) => {
+            page.element.hidden = pageIndex !== this.page;
+            page.element.setAttribute('aria-label', t('reader.page', { page: pageIndex + 1, total: this.pages.length }));
+        });
+        // aria-disabled rather than disabled keeps focus on the button at either end
+        this.prevButton.setAttribute('aria-disabled', String(this.page === 0));
+        this.nextButton.setAttribute('aria-disabled', String(this.page >= this.pages.length - 1));
+        this.updateIndicator();
+    }
+    
+    turn(direction) {
+        const index = this.page + direction;
+        if (index < 0 || index >= this.pages.length) {
+            return;
+        }
+        this.show(index);
+        const { element } = this.pages[this.page];
+        element.classList.remove('turn-next', 'turn-prev');
+        element.classList.add(direction > 0 ? 'turn-next' : 'turn-prev');
+        element.scrollTop = 0;
+        announce(t('reader.page', { page: this.page + 1, total: this.pages.length }));
+    }
+    
+    // Handled here so the arrow keys turn pages instead of cycling effects while the letter has focus
+    handleKey(e) {
+        const moves = {
+            ArrowRight: i18n.arrowStep('ArrowRight'),
+            PageDown: 1,
+            ArrowLeft: i18n.arrowStep('ArrowLeft'),
+            PageUp: -1,
+            Home: -this.page,
+            End: this.pages.length - 1 - this.page
+        };
+        if (!(e.key in moves) || e.ctrlKey || e.metaKey || e.altKey) {
+            return;
+        }
+        e.preventDefault();
+        this.turn(moves[e.key]);
+    }
+    
+    // Without IntersectionObserver every paragraph is shown straight away
+    list() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+        this.pagesElement.innerHTML = '';
+        this.paragraphs = this.blocks.map(html => this.pagesElement.appendChild(this.createParagraph(html)));
+        if (typeof IntersectionObserver === 'undefined') {
+            this.paragraphs.forEach(paragraph => paragraph.classList.add('revealed'));
+        } else {
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('revealed');
+                        this.observer.unobserve(entry.target);
+                    }
+                });
+            }, { threshold: READER_REVEAL_THRESHOLD });
+            this.paragraphs.forEach(paragraph => this.observer.observe(paragraph));
+        }
+        this.updateIndicator();
+    }
+    
+    // Page N of M, or in scroll mode how many paragraphs have come into view
+    updateIndicator() {
+        if (!this.indicator) {
+            return;
+        }
+        if (this.mode === 'pages') {
+            this.indicator.textContent = `${this.page + 1} / ${this.pages.length}`;
+            return;
+        }
+        const seen = this.paragraphs.filter(paragraph => paragraph.getBoundingClientRect().top < window.innerHeight).length;
+        this.indicator.textContent = `${Math.max(1, seen)} / ${this.paragraphs.length}`;
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        this.scheduler.destroy();
+        this.unsubscribeScroll();
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+    }
+}
+
+// Chapter Timeline Class
+// The row of chapters (config.chapters) above the letter in stage 3: a button per chapter with its
+// date and title, the one showing marked as the current step and scrolled into view. Arrow keys
+// move along it (RovingToolbar); which chapter was last open is kept for the next visit
+const CHAPTER_STORAGE_KEY = 'surprise-chapter';
+// Milliseconds the particles take to change over to the next chapter's colors and shapes
+const CHAPTER_MORPH = 1500;
+
+class ChapterTimeline {
+    constructor(root, chapters, onSelect) {
+        this.root = root;
+        this.chapters = chapters;
+        this.track = root.querySelector('.timeline-track');
+        this.listeners = new AbortController();
+        
+        const { signal } = this.listeners;
+        this.track.innerHTML = '';
+        this.buttons = chapters.map((chapter, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'timeline-chip';
+            button.setAttribute('aria-label', t('chapters.goTo', { number: index + 1, title: chapter.title }));
+            const dot = document.createElement('span');
+            dot.className = 'timeline-dot';
+            dot.setAttribute('aria-hidden', 'true');
+            button.appendChild(dot);
+            if (chapter.date) {
+                const date = document.createElement('span');
+                date.className = 'timeline-date';
+                date.textContent = ChapterTimeline.formatDate(chapter.date);
+                button.appendChild(date);
+            }
+            const title = document.createElement('span');
+            title.className = 'timeline-title';
+            title.textContent = chapter.title;
+            button.appendChild(title);
+            button.addEventListener('click', () => onSelect(index), { signal });
+            item.appendChild(button);
+            this.track.appendChild(item);
+            return button;
+        });
+        this.toolbar = new RovingToolbar(this.track);
+        root.hidden = false;
+    }
+    
+    select(index) {
+        this.buttons.forEach((button, buttonIndex) => {
+            const isCurrent = buttonIndex === index;
+            button.classList.toggle('active', isCurrent);
+            if (isCurrent) {
+                button.setAttribute('aria-current', 'step');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+        const current = this.buttons[index];
+        this.toolbar.setCurrent(current);
+        // Scrolls the timeline only, scrollIntoView would move the whole stage as well
+        // (the track is the chips' offsetParent, and in rtl its scroll position runs from 0 down)
+        const start = i18n.dir === 'rtl' ? this.track.scrollWidth - this.track.clientWidth : 0;
+        const offset = current.offsetLeft - (this.track.clientWidth - current.offsetWidth) / 2 - start;
+        if (typeof this.track.scrollTo === 'function') {
+            this.track.scrollTo({ left: offset, behavior: motionPolicy.reduced ? 'auto' : 'smooth' });
+        }
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        this.toolbar.destroy();
+        this.track.innerHTML = '';
+        this.root.hidden = true;
+    }
+    
+    // An ISO date is written out in the page's language, anything else is shown as written
+    static formatDate(date) {
+        const time = UnlockGate.parseTime(date);
+        return time === null ? date : new Intl.DateTimeFormat(i18n.lang, { dateStyle: 'long' }).format(time);
+    }
+    
+    // The chapter to reopen, if the same story was left part way through
+    static saved(chapters) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CHAPTER_STORAGE_KEY));
+            if (saved && saved.story === ChapterTimeline.signature(chapters)
+                && Number.isInteger(saved.chapter) && saved.chapter > 0 && saved.chapter < chapters.length) {
+                return saved.chapter;
+            }
+        } catch (error) {
+            // Unreadable or unavailable storage starts the story from the beginning
+        }
+        return 0;
+    }
+    
+    static remember(chapters, index) {
+        try {
+            if (index > 0) {
+                localStorage.setItem(CHAPTER_STORAGE_KEY, JSON.stringify({ story: ChapterTimeline.signature(chapters), chapter: index }));
+            } else {
+                localStorage.removeItem(CHAPTER_STORAGE_KEY);
+            }
+        } catch (error) {
+            // Storage can be unavailable (private mode, file://), the story then starts over next time
+        }
+    }
+    
+    // Progress saved for a different set of chapters is not picked up
+    static signature(chapters) {
+        return JSON.stringify(chapters.map(chapter => chapter.title));
+    }
+}
+
+// Photo Gallery Class
+// The 'gallery' stage (config.gallery) in #photo-gallery, over the stage 3 particles: a Ken Burns
+// slideshow that moves on by itself, or polaroids dealt onto the page one after another. Photos
+// decode off the main thread and one that fails to load is dropped; portrait photos are framed
+// upright and pan up and down, landscape ones pan sideways. Any photo opens in #gallery-lightbox,
+// which holds the show until it is closed
+// Milliseconds each photo gets when the config doesn't say
+const GALLERY_INTERVAL = 4000;
+// Milliseconds between polaroids landing, and how far (degrees) they may tilt either way
+const POLAROID_STAGGER = 300;
+const POLAROID_TILT = 8;
+
+class PhotoGallery {
+    constructor(root, gallery) {
+        this.root = root;
+        this.layout = gallery.layout || 'kenburns';
+        this.interval = gallery.interval || GALLERY_INTERVAL;
+        this.container = root.querySelector('.gallery-photos');
+        this.indicator = root.querySelector('.gallery-indicator');
+        this.prevButton = root.querySelector('.gallery-prev');
+        this.nextButton = root.querySelector('.gallery-next');
+        this.lightbox = document.getElementById('gallery-lightbox');
+        // The photos still in the show, { photo, element, image }; failed ones are taken out
+        this.items = [];
+        this.index = 0;
+        // The photo open in the lightbox, or -1
+        this.viewing = -1;
+        this.returnFocus = null;
+        this.finish = () => {};
+        this.timers = scheduler.group();
+        this.listeners = new AbortController();
+        
+        this.build(gallery.photos.map(PhotoGallery.normalize));
+        this.bind();
+    }
+    
+    build(photos) {
+        this.root.classList.add(this.layout);
+        this.root.style.setProperty('--photo-time', `${this.interval}ms`);
+        this.container.innerHTML = '';
+        this.items = photos.map((photo, index) => {
+            const element = document.createElement('figure');
+            element.className = 'gallery-photo';
+            if (this.layout === 'polaroid') {
+                element.style.setProperty('--tilt', `${((Math.random() * 2 - 1) * POLAROID_TILT).toFixed(1)}deg`);
+                element.style.setProperty('--deal-delay', `${index * POLAROID_STAGGER}ms`);
+            }
+            
+            // The photo is a button so it can be opened from the keyboard too
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'gallery-open';
+            if (!photo.alt) {
+                button.setAttribute('aria-label', t('gallery.photo', { number: index + 1 }));
+            }
+            const image = document.createElement('img');
+            image.className = 'gallery-image';
+            image.decoding = 'async';
+            image.loading = 'lazy';
+            image.alt = photo.alt;
+            button.appendChild(image);
+            element.appendChild(button);
+            
+            if (photo.caption) {
+                const caption = document.createElement('figcaption');
+                caption.className = 'gallery-caption';
+                caption.textContent = photo.caption;
+                element.appendChild(caption);
+            }
+            this.container.appendChild(element);
+            
+            const item = { photo, element, image };
+            const { signal } = this.listeners;
+            button.addEventListener('click', () => this.openLightbox(this.items.indexOf(item)), { signal });
+            image.addEventListener('load', () => {
+                element.classList.add(image.naturalHeight > image.naturalWidth ? 'portrait' : 'landscape');
+            }, { signal, once: true });
+            image.addEventListener('error', () => this.drop(item), { signal, once: true });
+            image.src = photo.src;
+            return item;
+        });
+    }
+    
+    bind() {
+        const { signal } = this.listeners;
+        this.prevButton.addEventListener('click', () => this.step(-1), { signal });
+        this.nextButton.addEventListener('click', () => this.step(1), { signal });
+        // Photos run right to left in rtl languages, so swiping right moves forward there
+        const forward = () => (i18n.dir === 'rtl' ? 'right' : 'left');
+        this.root.addEventListener('swipe', (e) => this.step(e.detail.direction === forward() ? 1 : -1), { signal });
+        
+        if (!this.lightbox) {
+            return;
+        }
+        this.lightbox.querySelector('.lightbox-prev').addEventListener('click', () => this.viewPhoto(this.viewing - 1), { signal });
+        this.lightbox.querySelector('.lightbox-next').addEventListener('click', () => this.viewPhoto(this.viewing + 1), { signal });
+        this.lightbox.querySelector('.lightbox-close').addEventListener('click', () => this.closeLightbox(), { signal });
+        this.lightbox.addEventListener('click', (e) => {
+            if (e.target === this.lightbox) {
+                this.closeLightbox();
+            }
+        }, { signal });
+        this.lightbox.addEventListener('swipe', (e) => this.viewPhoto(this.viewing + (e.detail.direction === forward() ? 1 : -1)), { signal });
+        this.lightbox.addEventListener('keydown', (e) => this.handleLightboxKey(e), { signal });
+    }
+    
+    // Resolves once every photo has had its turn, rejects if the signal aborts
+    play(signal) {
+        this.timers.cancelAll();
+        this.root.hidden = false;
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            this.finish = resolve;
+            signal.addEventListener('abort', () => {
+                this.stop();
+                reject(signal.reason);
+            }, { once: true, signal: this.listeners.signal });
+            
+            if (this.items.length === 0) {
+                resolve();
+            } else if (this.layout === 'polaroid') {
+                this.deal();
+            } else {
+                this.show(0);
+            }
+        });
+    }
+    
+    // The prints land one after another (see --deal-delay), then stay for the photos' time together.
+    // stop() takes 'dealt' off again, so they land anew when the stage comes back
+    deal() {
+        this.root.classList.add('dealt');
+        this.timers.setTimer(() => this.finish(), this.items.length * (POLAROID_STAGGER + this.interval));
+    }
+    
+    // Shows a slide and gives it its time; the last one's time running out ends the show
+    show(index) {
+        this.index = Math.max(0, Math.min(index, this.items.length - 1));
+        this.items.forEach((item, itemIndex) => {
+            const isCurrent = itemIndex === this.index;
+            item.element.classList.toggle('current', isCurrent);
+            item.element.setAttribute('aria-hidden', String(!isCurrent));
+            item.element.querySelector('.gallery-open').tabIndex = isCurrent ? 0 : -1;
+        });
+        // The next slide starts loading now rather than when it comes into sight
+        const upcoming = this.items[this.index + 1];
+        if (upcoming) {
+            upcoming.image.loading = 'eager';
+        }
+        this.updateNav();
+        
+        this.timers.cancelAll();
+        this.timers.setTimer(() => {
+            if (this.index < this.items.length - 1) {
+                this.show(this.index + 1);
+            } else {
+                this.finish();
+            }
+        }, this.interval);
+    }
+    
+    step(direction) {
+        if (this.layout !== 'kenburns' || this.items.length === 0 || this.viewing !== -1) {
+            return;
+        }
+        const index = this.index + direction;
+        if (index >= 0 && index < this.items.length) {
+            this.show(index);
+            announce(t('gallery.position', { number: this.index + 1, total: this.items.length }));
+        }
+    }
+    
+    updateNav() {
+        this.indicator.textContent = `${this.index + 1} / ${this.items.length}`;
+        // aria-disabled rather than disabled keeps focus on the button at either end
+        this.prevButton.setAttribute('aria-disabled', String(this.index === 0));
+        this.nextButton.setAttribute('aria-disabled', String(this.index >= this.items.length - 1));
+    }
+    
+    // A photo that can't be loaded leaves the show; without any left the stage moves on
+    drop(item) {
+        const index = this.items.indexOf(item);
+        if (index === -1) {
+            return;
+        }
+        console.warn(`Gallery photo could not be loaded and is left out: ${item.photo.src}`);
+        this.items.splice(index, 1);
+        item.element.remove();
+        if (this.items.length === 0) {
+            this.closeLightbox();
+            this.finish();
+            return;
+        }
+        if (this.viewing !== -1) {
+            this.viewPhoto(Math.min(this.viewing - (index < this.viewing ? 1 : 0), this.items.length - 1));
+        }
+        if (this.layout === 'kenburns') {
+            // The slide showing stays put when a photo before it goes; if it went itself, the next one shows
+            const current = Math.min(index < this.index ? this.index - 1 : this.index, this.items.length - 1);
+            if (index === this.index && this.isShowing()) {
+                this.show(current);
+            } else {
+                this.index = current;
+                this.updateNav();
+            }
+        }
+    }
+    
+    openLightbox(index) {
+        if (!this.lightbox || index === -1) {
+            return;
+        }
+        this.returnFocus = document.activeElement;
+        // The show waits while a photo is open
+        this.timers.pause();
+        this.root.classList.add('held');
+        this.lightbox.hidden = false;
+        this.viewPhoto(index);
+        this.lightbox.querySelector('.lightbox-close').focus();
+    }
+    
+    viewPhoto(index) {
+        if (index < 0 || index >= this.items.length) {
+            return;
+        }
+        const isTurn = this.viewing !== -1 && this.viewing !== index;
+        this.viewing = index;
+        const { photo, element } = this.items[index];
+        const image = this.lightbox.querySelector('.lightbox-image');
+        const caption = this.lightbox.querySelector('.lightbox-caption');
+        image.alt = photo.alt;
+        image.src = photo.src;
+        image.classList.toggle('portrait', element.classList.contains('portrait'));
+        caption.textContent = photo.caption;
+        caption.hidden = !photo.caption;
+        this.lightbox.querySelector('.lightbox-indicator').textContent = `${index + 1} / ${this.items.length}`;
+        this.lightbox.querySelector('.lightbox-prev').setAttribute('aria-disabled', String(index === 0));
+        this.lightbox.querySelector('.lightbox-next').setAttribute('aria-disabled', String(index >= this.items.length - 1));
+        if (isTurn) {
+            announce(t('gallery.position', { number: index + 1, total: this.items.length }));
+        }
+    }
+    
+    closeLightbox() {
+        if (!this.lightbox || this.viewing === -1) {
+            return;
+        }
+        this.viewing = -1;
+        this.lightbox.hidden = true;
+        this.root.classList.remove('held');
+        this.timers.resume();
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    }
+    
+    // Arrow keys move between photos, Escape closes, and Tab stays inside the lightbox
+    handleLightboxKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) {
+            return;
+        }
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowLeft':
+                this.viewPhoto(this.viewing + i18n.arrowStep(e.key));
+                break;
+            case 'Escape':
+                this.closeLightbox();
+                break;
+            case 'Tab': {
+                const buttons = Array.from(this.lightbox.querySelectorAll('button'));
+                const index = buttons.indexOf(document.activeElement);
+                const next = (index + (e.shiftKey ? -1 : 1) + buttons.length) % buttons.length;
+                buttons[next].focus();
+                break;
+            }
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+    
+    isShowing() {
+        return !this.root.hidden;
+    }
+    
+    // Leaves the stage: the show stops where it is and starts over next time
+    stop() {
+        this.timers.cancelAll();
+        this.closeLightbox();
+        this.root.hidden = true;
+        this.root.classList.remove('dealt');
+    }
+    
+    destroy() {
+        this.stop();
+        this.listeners.abort();
+        this.timers.destroy();
+        this.container.innerHTML = '';
+        this.root.classList.remove(this.layout);
+    }
+    
+    // A photo is a URL or { src, caption, alt }; the alt text falls back to the caption
+    static normalize(entry) {
+        const photo = typeof entry === 'string' ? { src: entry } : entry;
+        return {
+            src: photo.src,
+            caption: photo.caption || '',
+            alt: photo.alt !== undefined ? photo.alt : photo.caption || ''
+        };
+    }
+}
+
+// Reply Stores
+// Where the recipient's reactions and messages go (config.reply.storage). A store type is a class
+// created with its storage options ({ type, ... }) and an onSent(count) callback for replies that
+// go out later. save(reply) resolves to 'saved', 'sent' or 'queued' (kept to send later) and
+// rejects when the reply can't be kept at all. Its static validate(options) returns config errors
+// and notice(options) is the default wording of the privacy notice. registerReplyStore() adds more
+const REPLY_STORES = new Map();
+
+const registerReplyStore = (type, Store) => {
+    if (typeof type !== 'string' || type.trim() === '') {
+        throw new TypeError('Reply store type must be a non-empty string');
+    }
+    if (typeof Store !== 'function' || typeof Store.prototype.save !== 'function') {
+        throw new TypeError(`Reply store "${type}" needs a class with save(reply)`);
+    }
+    REPLY_STORES.set(type, Store);
+};
+
+// Local Reply Store Class
+// Keeps replies in this browser; download() hands them over as a JSON file
+const REPLY_STORAGE_KEY = 'surprise-replies';
+
+class LocalReplyStore {
+    async save(reply) {
+        // Full or unavailable storage rejects, the panel then says the reply wasn't kept
+        localStorage.setItem(REPLY_STORAGE_KEY, JSON.stringify([...this.replies(), reply]));
+        return 'saved';
+    }
+    
+    replies() {
+        try {
+            const replies = JSON.parse(localStorage.getItem(REPLY_STORAGE_KEY));
+            return Array.isArray(replies) ? replies : [];
+        } catch (error) {
+            // Unreadable storage has nothing saved
+            return [];
+        }
+    }
+    
+    download() {
+        const json = JSON.stringify(this.replies(), null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'replies.json');
+    }
+    
+    destroy() {}
+    
+    static validate() {
+        return [];
+    }
+    
+    static notice() {
+        return t('reply.noticeLocal');
+    }
+}
+
+// Post Reply Store Class
+// POSTs each reply as JSON to options.endpoint, with any options.headers. Replies wait in a queue
+// kept in localStorage until the server has them: a failed send is retried a few times with
+// growing pauses, and whatever is still waiting goes out later on, when the browser is back
+// online or on the next visit. Each reply carries an id, so a server can drop one that arrives twice
+const REPLY_QUEUE_KEY = 'surprise-reply-queue';
+// Tries per send, and the pause in milliseconds before the first retry (doubling after that)
+const REPLY_ATTEMPTS = 4;
+const REPLY_RETRY_DELAY = 1000;
+// Milliseconds before the queue is tried again once a send has used up its tries, doubling
+// each time it fails again up to REPLY_RESEND_MAX
+const REPLY_RESEND_DELAY = 15000;
+const REPLY_RESEND_MAX = 300000;
+
+class PostReplyStore {
+    constructor(options, onSent = () => {}) {
+        this.endpoint = new URL(options.endpoint, location.href).href;
+        this.headers = options.headers || {};
+        this.onSent = onSent;
+        this.pending = this.load();
+        // Replies the server turned down for good
+        this.refused = new WeakSet();
+        this.flushing = null;
+        this.resendTimer = null;
+        this.resendDelay = REPLY_RESEND_DELAY;
+        this.listeners = new AbortController();
+        
+        window.addEventListener('online', () => this.resend(), { signal: this.listeners.signal });
+        if (this.pending.length > 0) {
+            this.resend();
+        }
+    }
+    
+    async save(reply) {
+        this.pending.push(reply);
+        this.persist();
+        await this.flush();
+        if (this.refused.has(reply)) {
+            throw new Error(`${this.endpoint} turned the reply down`);
+        }
+        return this.pending.includes(reply) ? 'queued' : 'sent';
+    }
+    
+    // Sends what was left waiting, telling the panel once any of it is through
+    resend() {
+        scheduler.clearTimer(this.resendTimer);
+        this.resendTimer = null;
+        this.flush().then(sent => {
+            if (sent > 0) {
+                this.onSent(sent);
+            }
+        }, error => {
+            if (!isAbortError(error)) {
+                console.warn('Reply store: sending waiting replies failed:', error);
+            }
+        });
+    }
+    
+    // One pass over the queue at a time; replies saved meanwhile join the running one
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+    
+    // Sends the queue in order, resolving to how many went out; it stops at the first reply that
+    // still can't be sent, keeping it and everything after it for later
+    async drain() {
+        let sent = 0;
+        while (this.pending.length > 0 && navigator.onLine !== false) {
+            const reply = this.pending[0];
+            const result = await this.send(reply);
+            if (result === 'retry') {
+                this.scheduleResend();
+                break;
+            }
+            this.resendDelay = REPLY_RESEND_DELAY;
+            if (result === 'sent') {
+                sent++;
+            } else {
+                this.refused.add(reply);
+            }
+            this.pending.shift();
+            this.persist();
+        }
+        return sent;
+    }
+    
+    // A server that is down while the browser stays online never fires 'online', so the queue
+    // is tried again on its own, a little later each time
+    scheduleResend() {
+        if (this.resendTimer !== null || this.listeners.signal.aborted) {
+            return;
+        }
+        const delay = this.resendDelay;
+        this.resendDelay = Math.min(delay * 2, REPLY_RESEND_MAX);
+        this.resendTimer = scheduler.setTimer(() => {
+            this.resendTimer = null;
+            this.resend();
+        }, delay);
+    }
+    
+    // 'sent', 'refused' when retrying won't help, or 'retry' once every attempt has failed
+    async send(reply) {
+        const { signal } = this.listeners;
+        for (let attempt = 0; attempt < REPLY_ATTEMPTS; attempt++) {
+            if (attempt > 0) {
+                await wait(REPLY_RETRY_DELAY * 2 ** (attempt - 1), signal);
+            }
+            if (navigator.onLine === false) {
+                return 'retry';
+            }
+            try {
+                const response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...this.headers },
+                    body: JSON.stringify(reply),
+                    signal
+                });
+                if (response.ok) {
+                    return 'sent';
+                }
+                // Client errors besides a timeout or rate limit would only fail again
+                if (response.status < 500 && response.status !== 408 && response.status !== 429) {
+                    console.warn(`Reply store: ${this.endpoint} answered ${response.status}, dropping the reply`);
+                    return 'refused';
+                }
+            } catch (error) {
+                if (isAbortError(error)) {
+                    throw error;
+                }
+                // A network error is worth another try
+            }
+        }
+        return 'retry';
+    }
+    
+    // Queues are kept per endpoint, so a changed config doesn't send old replies to the new one
+    load() {
+        try {
+            const queues = JSON.parse(localStorage.getItem(REPLY_QUEUE_KEY)) || {};
+            return Array.isArray(queues[this.endpoint]) ? queues[this.endpoint] : [];
+        } catch (error) {
+            // Unreadable storage has nothing waiting
+            return [];
+        }
+    }
+    
+    persist() {
+        try {
+            const queues = JSON.parse(localStorage.getItem(REPLY_QUEUE_KEY)) || {};
+            if (this.pending.length > 0) {
+                queues[this.endpoint] = this.pending;
+            } else {
+                delete queues[this.endpoint];
+            }
+            if (Object.keys(queues).length > 0) {
+                localStorage.setItem(REPLY_QUEUE_KEY, JSON.stringify(queues));
+            } else {
+                localStorage.removeItem(REPLY_QUEUE_KEY);
+            }
+        } catch (error) {
+            // Without storage the queue only lasts as long as the page
+        }
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        scheduler.clearTimer(this.resendTimer);
+        this.resendTimer = null;
+    }
+    
+    static validate(options) {
+        const errors = [];
+        let url = null;
+        try {
+            url = new URL(options.endpoint, location.href);
+        } catch (error) {
+            // Reported below
+        }
+        if (typeof options.endpoint !== 'string' || !url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.push(`"reply.storage.endpoint" must be an http(s) URL, got ${JSON.stringify(options.endpoint)}`);
+        }
+        const { headers } = options;
+        if (headers !== undefined && !(ConfigLoader.isPlainObject(headers) && Object.values(headers).every(value => typeof value === 'string'))) {
+            errors.push('"reply.storage.headers" must be an object of header values');
+        }
+        return errors;
+    }
+    
+    static notice(options) {
+        return t('reply.noticeRemote', { host: new URL(options.endpoint, location.href).host });
+    }
+}
+
+registerReplyStore('local', LocalReplyStore);
+registerReplyStore('post', PostReplyStore);
+
+// Reply Panel Class
+// The recipient's answer under the letter (config.reply): emoji reactions, each bursting into
+// particles of itself, and a few words back, handed to the configured reply store. Nothing is
+// kept until the privacy notice's box is ticked, and the choice is remembered for that storage
+const REPLY_CONSENT_KEY = 'surprise-reply-consent';
+const REPLY_REACTIONS = ['❤️', '🥰', '😂', '😭', '🎉'];
+// Milliseconds of a looping effect (one that never finishes) before the panel comes up
+const REPLY_DELAY = 8000;
+
+class ReplyPanel {
+    // onReact(emoji, button) plays a reaction's burst; title is saved with every reply
+    constructor(root, reply, { title, onReact }) {
+        this.root = root;
+        this.settings = ReplyPanel.normalize(reply);
+        this.title = title;
+        this.onReact = onReact;
+        this.listeners = new AbortController();
+        this.reacted = new Set();
+        this.agreed = ReplyPanel.savedConsent(this.settings.storage);
+        this.elements = {
+            notice: root.querySelector('.reply-notice'),
+            consent: root.querySelector('.reply-consent-input'),
+            reactions: root.querySelector('.reply-reactions'),
+            form: root.querySelector('.reply-form'),
+            message: root.querySelector('.reply-message'),
+            send: root.querySelector('.reply-send'),
+            download: root.querySelector('.reply-download'),
+            status: root.querySelector('.reply-status')
+        };
+        
+        const { storage } = this.settings;
+        const Store = REPLY_STORES.get(storage.type);
+        this.store = new Store(storage, () => this.setStatus(t('reply.sentLater')));
+        this.build();
+        this.bind();
+        this.update();
+    }
+    
+    build() {
+        const { notice, reactions, message } = this.elements;
+        const { storage } = this.settings;
+        notice.textContent = this.settings.notice || REPLY_STORES.get(storage.type).notice(storage);
+        message.placeholder = t('reply.placeholder');
+        
+        reactions.innerHTML = '';
+        reactions.hidden = this.settings.reactions.length === 0;
+        this.settings.reactions.forEach(emoji => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'reply-reaction';
+            button.textContent = emoji;
+            button.dataset.reaction = emoji;
+            button.setAttribute('aria-label', t('reply.react', { emoji }));
+            button.setAttribute('aria-pressed', 'false');
+            reactions.appendChild(button);
+        });
+        this.toolbar = new RovingToolbar(reactions);
+    }
+    
+    bind() {
+        const { signal } = this.listeners;
+        const { consent, reactions, form, download } = this.elements;
+        consent.addEventListener('change', () => {
+            this.agreed = consent.checked;
+            ReplyPanel.remember(this.settings.storage, this.agreed);
+            this.update();
+            this.setStatus('');
+        }, { signal });
+        reactions.addEventListener('click', (e) => {
+            const button = e.target.closest('.reply-reaction');
+            if (button) {
+                this.react(button);
+            }
+        }, { signal });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendMessage();
+        }, { signal });
+        download.addEventListener('click', () => this.store.download(), { signal });
+    }
+    
+    // Every press bursts; a reaction is kept once per visit, and one that couldn't be saved
+    // can be pressed again
+    async react(button) {
+        const emoji = button.dataset.reaction;
+        this.onReact(emoji, button);
+        if (!this.agreed || this.reacted.has(emoji)) {
+            return;
+        }
+        this.reacted.add(emoji);
+        button.setAttribute('aria-pressed', 'true');
+        if (!await this.save({ type: 'reaction', reaction: emoji })) {
+            this.reacted.delete(emoji);
+            button.setAttribute('aria-pressed', 'false');
+        }
+    }
+    
+    async sendMessage() {
+        const { message, send } = this.elements;
+        const text = message.value.trim();
+        if (!this.agreed || text === '') {
+            return;
+        }
+        send.disabled = true;
+        if (await this.save({ type: 'message', message: text })) {
+            message.value = '';
+        }
+        send.disabled = !this.agreed;
+    }
+    
+    // Resolves to whether the reply was kept or queued
+    async save(fields) {
+        const reply = { id: ReplyPanel.id(), ...fields, title: this.title, lang: i18n.lang, at: new Date().toISOString() };
+        try {
+            const result = await this.store.save(reply);
+            const queued = navigator.onLine === false ? 'reply.offline' : 'reply.queued';
+            this.setStatus(t(result === 'queued' ? queued : `reply.${result}`));
+            this.update();
+            return true;
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.warn('Reply not saved:', error);
+                this.setStatus(t('reply.failed'));
+            }
+            return false;
+        }
+    }
+    
+    // Writing back and downloading only work once the notice has been agreed to
+    update() {
+        const { consent, message, send, download } = this.elements;
+        consent.checked = this.agreed;
+        message.disabled = !this.agreed;
+        send.disabled = !this.agreed;
+        download.hidden = !(this.agreed && typeof this.store.download === 'function' && this.store.replies().length > 0);
+    }
+    
+    setStatus(text) {
+        this.elements.status.textContent = text;
+    }
+    
+    open() {
+        this.root.hidden = false;
+    }
+    
+    close() {
+        this.root.hidden = true;
+    }
+    
+    isOpen() {
+        return !this.root.hidden;
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        this.toolbar.destroy();
+        this.store.destroy();
+        this.elements.reactions.innerHTML = '';
+        this.setStatus('');
+        this.close();
+    }
+    
+    // Fills in the defaults; storage may be just a store type
+    static normalize(reply) {
+        const { reactions = REPLY_REACTIONS, storage = 'local', notice = '' } = reply;
+        return { reactions, storage: typeof storage === 'string' ? { type: storage } : storage, notice };
+    }
+    
+    // Agreeing to one storage doesn't carry over to another endpoint. A consent given to
+    // anything else (or stored with the headers, as earlier versions did) is dropped
+    static savedConsent(storage) {
+        try {
+            const saved = localStorage.getItem(REPLY_CONSENT_KEY);
+            if (saved !== null && saved !== ReplyPanel.consentKey(storage)) {
+                localStorage.removeItem(REPLY_CONSENT_KEY);
+            }
+            return saved === ReplyPanel.consentKey(storage);
+        } catch (error) {
+            // Without storage the box has to be ticked on every visit
+            return false;
+        }
+    }
+    
+    static remember(storage, agreed) {
+        try {
+            if (agreed) {
+                localStorage.setItem(REPLY_CONSENT_KEY, ReplyPanel.consentKey(storage));
+            } else {
+                localStorage.removeItem(REPLY_CONSENT_KEY);
+            }
+        } catch (error) {
+            // Storage can be unavailable (private mode, file://), the choice then isn't remembered
+        }
+    }
+    
+    // Where replies go, without the headers: a token in them stays out of localStorage, and a
+    // new token or header order doesn't ask again
+    static consentKey(storage) {
+        return JSON.stringify({ type: storage.type, endpoint: storage.endpoint });
+    }
+    
+    static id() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+// Unlock Gate Class
+// Holds the surprise back until config.gate lets it through: counts down to the unlock time,
+// then asks the question if there is one. The answer is only ever compared as a SHA-256 hash,
+// so it isn't in the page's source, and an unlocked gate is remembered for the next visit
+const GATE_STORAGE_KEY = 'surprise-unlocked';
+// Wrong answers before the hint shows
+const GATE_HINT_AFTER = 2;
+// Milliseconds the gate takes to fade out once it opens
+const GATE_FADE = 800;
+const GATE_UNITS = [['days', 86400000], ['hours', 3600000], ['minutes', 60000], ['seconds', 1000]];
+const GATE_KEYFRAMES = {
+    tick: [
+        { transform: 'translateY(-30%)', opacity: 0 },
+        { transform: 'translateY(0)', opacity: 1 }
+    ],
+    shake: [
+        { transform: 'translateX(0)' },
+        { transform: 'translateX(-8px)' },
+        { transform: 'translateX(6px)' },
+        { transform: 'translateX(-4px)' },
+        { transform: 'translateX(0)' }
+    ]
+};
+// SHA-256 round constants and starting hash, for pages where Web Crypto is missing: the
+// fractional parts of the cube roots of the first 64 primes and the square roots of the first 8
+const SHA256_PRIMES = [];
+for (let n = 2; SHA256_PRIMES.length < 64; n++) {
+    if (SHA256_PRIMES.every(prime => n % prime !== 0)) {
+        SHA256_PRIMES.push(n);
+    }
+}
+const SHA256_K = SHA256_PRIMES.map(prime => ((Math.cbrt(prime) % 1) * 0x100000000) | 0);
+const SHA256_INITIAL = SHA256_PRIMES.slice(0, 8).map(prime => ((Math.sqrt(prime) % 1) * 0x100000000) | 0);
+
+class UnlockGate {
+    constructor(gate) {
+        this.gate = gate;
+        this.root = document.getElementById('unlock-gate');
+        this.unlockTime = gate.unlock === undefined ? null : UnlockGate.parseTime(gate.unlock);
+        this.attempts = 0;
+        // Set while an answer is being checked and once the gate is opening
+        this.busy = false;
+        this.units = [];
+        this.timers = scheduler.group();
+        this.listeners = new AbortController();
+        this.unsubscribeTheme = () => {};
+        // Resolves once the recipient is through
+        this.unlocked = new Promise(resolve => {
+            this.resolveUnlocked = resolve;
+        });
+        
+        this.init();
+    }
+    
+    init() {
+        if (!this.root) {
+            this.finish();
+            return;
+        }
+        document.body.classList.add('gated');
+        this.root.hidden = false;
+        const heart = this.root.querySelector('.gate-heart');
+        this.unsubscribeTheme = themeManager.subscribe(() => {
+            if (heart) {
+                heart.textContent = themeManager.theme.heart;
+            }
+        });
+        
+        if (this.unlockTime !== null && this.unlockTime > Date.now()) {
+            this.showCountdown();
+        } else {
+            this.showQuestion();
+        }
+    }
+    
+    showCountdown() {
+        const countdown = this.root.querySelector('.gate-countdown');
+        const clock = countdown.querySelector('.gate-clock');
+        clock.innerHTML = '';
+        this.units = GATE_UNITS.map(([unit, size]) => {
+            const element = document.createElement('div');
+            element.className = 'gate-unit';
+            const value = document.createElement('span');
+            value.className = 'gate-value';
+            const label = document.createElement('span');
+            label.className = 'gate-unit-label';
+            label.textContent = t(`gate.${unit}`);
+            element.append(value, label);
+            clock.appendChild(element);
+            return { size, value, shown: null };
+        });
+        const date = new Intl.DateTimeFormat(i18n.lang, { dateStyle: 'full', timeStyle: 'short' }).format(this.unlockTime);
+        countdown.querySelector('.gate-date').textContent = t('gate.opens', { date });
+        countdown.hidden = false;
+        this.tick();
+    }
+    
+    // Works from the clock on every tick, so a tab that slept catches up when it wakes
+    tick() {
+        const remaining = this.unlockTime - Date.now();
+        if (remaining <= 0) {
+            this.root.querySelector('.gate-countdown').hidden = true;
+            this.showQuestion();
+            return;
+        }
+        
+        const format = new Intl.NumberFormat(i18n.lang, { minimumIntegerDigits: 2 });
+        let rest = Math.ceil(remaining / 1000) * 1000;
+        this.units.forEach(unit => {
+            const amount = Math.floor(rest / unit.size);
+            rest -= amount * unit.size;
+            if (amount === unit.shown) {
+                return;
+            }
+            unit.shown = amount;
+            unit.value.textContent = format.format(amount);
+            if (!motionPolicy.reduced && typeof unit.value.animate === 'function') {
+                unit.value.animate(GATE_KEYFRAMES.tick, { duration: 300, easing: 'ease-out' });
+            }
+        });
+        // Lands each tick on the turn of the second
+        this.timers.setTimer(() => this.tick(), remaining % 1000 || 1000);
+    }
+    
+    showQuestion() {
+        if (this.gate.question === undefined) {
+            this.finish();
+            return;
+        }
+        const form = this.root.querySelector('.gate-question');
+        const input = form.querySelector('.gate-answer');
+        form.querySelector('.gate-prompt').textContent = this.gate.question;
+        input.placeholder = t('gate.answer');
+        form.hidden = false;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.check();
+        }, { signal: this.listeners.signal });
+        input.focus();
+    }
+    
+    async check() {
+        const form = this.root.querySelector('.gate-question');
+        const input = form.querySelector('.gate-answer');
+        const feedback = form.querySelector('.gate-feedback');
+        if (this.busy || UnlockGate.normalize(input.value) === '') {
+            input.focus();
+            return;
+        }
+        
+        this.busy = true;
+        let isRight;
+        try {
+            isRight = await UnlockGate.hash(input.value) === this.gate.answerHash.toLowerCase();
+        } catch (error) {
+            // Stays shut: opening on an error would let anyone through
+            console.error(`Can't check the answer: ${error.message}`);
+            this.busy = false;
+            feedback.textContent = t('gate.error');
+            return;
+        }
+        if (isRight) {
+            feedback.textContent = '';
+            this.finish();
+            return;
+        }
+        
+        this.busy = false;
+        this.attempts++;
+        feedback.textContent = this.attempts >= GATE_HINT_AFTER && this.gate.hint
+            ? t('gate.hint', { hint: this.gate.hint })
+            : t(this.attempts % 2 ? 'gate.wrong' : 'gate.wrongAgain');
+        if (!motionPolicy.reduced && typeof form.animate === 'function') {
+            form.animate(GATE_KEYFRAMES.shake, { duration: 400, easing: 'ease-in-out' });
+        }
+        input.select();
+    }
+    
+    finish() {
+        UnlockGate.remember(this.gate);
+        if (!this.root) {
+            this.resolveUnlocked();
+            return;
+        }
+        announce(t('gate.unlocked'));
+        this.root.classList.add('opening');
+        this.timers.setTimer(() => {
+            this.destroy();
+            this.resolveUnlocked();
+        }, motionPolicy.reduced ? 0 : GATE_FADE);
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        this.timers.destroy();
+        this.unsubscribeTheme();
+        document.body.classList.remove('gated');
+        if (this.root) {
+            this.root.hidden = true;
+            this.root.classList.remove('opening');
+        }
+    }
+    
+    // Whether config.gate still has to be passed on this visit
+    static isLocked(gate) {
+        if (!gate) {
+            return false;
+        }
+        try {
+            if (localStorage.getItem(GATE_STORAGE_KEY) === UnlockGate.signature(gate)) {
+                return false;
+            }
+        } catch (error) {
+            // Without storage the gate is simply asked again
+        }
+        const unlockTime = gate.unlock === undefined ? null : UnlockGate.parseTime(gate.unlock);
+        return gate.question !== undefined || (unlockTime !== null && unlockTime > Date.now());
+    }
+    
+    static remember(gate) {
+        try {
+            localStorage.setItem(GATE_STORAGE_KEY, UnlockGate.signature(gate));
+        } catch (error) {
+            // Storage can be unavailable (private mode, file://), the gate then shows again next time
+        }
+    }
+    
+    // A different gate (a new date or answer) locks again
+    static signature(gate) {
+        return JSON.stringify([gate.unlock || null, gate.answerHash ? gate.answerHash.toLowerCase() : null]);
+    }
+    
+    // Milliseconds since the epoch, or null. A date alone means midnight, and without an
+    // offset the time is the recipient's local time
+    static parseTime(value) {
+        const match = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.exec(value);
+        if (!match) {
+            return null;
+        }
+        const time = Date.parse(match[1] ? value : `${value}T00:00`);
+        return Number.isNaN(time) ? null : time;
+    }
+    
+    // Case, compatibility forms and runs of spaces don't make an answer wrong
+    static normalize(answer) {
+        return answer.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+    
+    // The SHA-256 of an answer in hex, as config.gate.answerHash wants it
+    static async hash(answer) {
+        const bytes = new TextEncoder().encode(UnlockGate.normalize(answer));
+        // Web Crypto only exists on https and localhost, plain http gets the digest below
+        if (!window.crypto || !window.crypto.subtle) {
+            return UnlockGate.sha256(bytes);
+        }
+        const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // SHA-256 of a byte array in hex, the same as hash() gets from Web Crypto
+    static sha256(bytes) {
+        const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+        const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+        
+        const state = SHA256_INITIAL.slice();
+        const words = new Int32Array(64);
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 64; i++) {
+                if (i < 16) {
+                    words[i] = view.getInt32(offset + i * 4);
+                    continue;
+                }
+                const low = words[i - 15];
+                const high = words[i - 2];
+                words[i] = words[i - 16] + (rotate(low, 7) ^ rotate(low, 18) ^ (low >>> 3))
+                    + words[i - 7] + (rotate(high, 17) ^ rotate(high, 19) ^ (high >>> 10));
+            }
+            let [a, b, c, d, e, f, g, h] = state;
+            for (let i = 0; i < 64; i++) {
+                const first = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + words[i]) | 0;
+                const second = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                [h, g, f, e, d, c, b, a] = [g, f, e, (d + first) | 0, c, b, a, (first + second) | 0];
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                state[i] = (state[i] + value) | 0;
+            });
+        }
+        return state.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+    }
+}
+
+// Stage Manager Class
+class StageManager {
+    constructor(config = DEFAULT_CONFIG, options = {}) {
+        this.config = config;
+        registerCustomShapes(config.customShapes);
+        this.autoplay = options.autoplay !== false;
+        this.currentIndex = -1;
+        this.run = null;
+        this.progressFill = document.getElementById('progress-fill');
+        this.indicatorList = document.querySelector('.stage-indicators');
+        this.stageIndicators = [];
+        this.animationManager = null;
+        this.particleSystem = null;
+        this.audio = null;
+        this.reader = null;
+        this.timeline = null;
+        this.gallery = null;
+        this.replyPanel = null;
+        // The effect handle watchLetter() is waiting on
+        this.watchedHandle = null;
+        this.isPlaying = true;
+        // The chapter showing, and the theme the page itself asks for (a chapter may switch to its own)
+        this.chapter = ChapterTimeline.saved(config.chapters);
+        this.themeChoice = ThemeManager.requested() || config.theme;
+        // Set when music is switched off, so coming back to stage 3 doesn't start it again
+        this.musicDeclined = false;
+        this.toolbars = [];
+        this.unsubscribeMotion = () => {};
+        this.unsubscribeBeat = () => {};
+        this.unsubscribeTheme = () => {};
+        // Every DOM listener the manager adds goes away with this on destroy()
+        this.listeners = new AbortController();
+        
+        // What each stage type shows and does; enter() may return a promise
+        // that settles when the stage's own work is done
+        this.stageTypes = {
+            editor: {
+                element: 'stage1',
+                label: t('stage.editor'),
+                duration: config.timings.editor,
+                enter: (signal) => this.playEditor(signal)
+            },
+            terminal: {
+                element: 'stage2',
+                label: t('stage.terminal'),
+                enter: (signal) => this.playTerminal(signal)
+            },
+            // Shares stage 3 (and its particles) with the final message, which it keeps hidden
+            gallery: {
+                element: 'stage3',
+                label: t('stage.gallery'),
+                enter: (signal) => this.playGallery(signal),
+                exit: () => this.exitGallery()
+            },
+            final: {
+                element: 'stage3',
+                label: t('stage.final'),
+                enter: () => this.enterFinal(),
+                exit: () => this.exitFinal()
+            }
+        };
+        // A config entry only sets how long its stage holds, never the stage's own hooks
+        this.stages = config.stages.map(entry => {
+            const { type, duration } = typeof entry === 'string' ? { type: entry } : entry;
+            const definition = this.stageTypes[type];
+            const stage = { ...definition, type, element: document.getElementById(definition.element) };
+            if (duration !== undefined) {
+                stage.duration = duration;
+            }
+            return stage;
+        });
+        
+        this.init();
+    }
+    
+    init() {
+        themeManager.set(this.chapterTheme());
+        this.unsubscribeTheme = themeManager.subscribe(() => this.applyTheme());
+        this.setupReader();
+        this.renderContent();
+        this.setupMusic();
+        this.buildIndicators();
+        this.initNavigation();
+        if (this.autoplay) {
+            this.startStageSequence();
+        }
+    }
+    
+    // Fills the page copy from the config before any stage is shown
+    renderContent() {
+        const { config } = this;
+        document.title = config.pageTitle;
+        
+        const setText = (selector, text) => {
+            const element = document.querySelector(selector);
+            if (element) {
+                // Drops text a running typewriter effect would otherwise put back
+                delete element.dataset.originalText;
+                element.textContent = text;
+            }
+        };
+        setText('.vscode-title', config.fileName);
+        const values = this.templateValues();
+        setText('.terminal-title', fillTemplate(config.terminal.title, values));
+        setText('.browser-address', fillTemplate(config.terminal.address, values));
+        const { title, subtitle } = this.heading();
+        setText('#main-title', title);
+        setText('#subtitle', subtitle);
+        this.renderLetter();
+    }
+    
+    // The title and subtitle stage 3 shows: the chapter's title and date when there are chapters
+    heading() {
+        const chapter = this.currentChapter();
+        if (!chapter) {
+            return { title: this.config.title, subtitle: this.config.subtitle };
+        }
+        return {
+            title: chapter.title,
+            subtitle: chapter.date ? ChapterTimeline.formatDate(chapter.date) : this.config.subtitle
+        };
+    }
+    
+    // The letter, or the chapter's letter and photo; the signature only closes the last chapter
+    renderLetter() {
+        const { config } = this;
+        const chapter = this.currentChapter();
+        const letter = chapter ? chapter.letter : config.letter;
+        const signature = this.isLastChapter() ? config.signature : '';
+        
+        const message = document.getElementById('message-text');
+        if (this.reader) {
+            this.reader.render(renderLetterBlocks(letter, signature));
+        } else if (message) {
+            delete message.dataset.originalHTML;
+            message.innerHTML = renderLetterHTML(letter, signature);
+        }
+        
+        const figure = document.getElementById('chapter-photo');
+        if (figure) {
+            const photo = chapter && chapter.photo;
+            figure.hidden = !photo;
+            figure.innerHTML = '';
+            // A new image each time, so its fade-in plays for every chapter
+            if (photo) {
+                const { src, alt = '' } = typeof photo === 'string' ? { src: photo } : photo;
+                const image = document.createElement('img');
+                image.className = 'chapter-image';
+                image.decoding = 'async';
+                image.alt = alt;
+                image.src = src;
+                figure.appendChild(image);
+            }
+        }
+    }
+    
+    currentChapter() {
+        return this.config.chapters[this.chapter] || null;
+    }
+    
+    isLastChapter() {
+        const { chapters } = this.config;
+        return chapters.length === 0 || this.chapter === chapters.length - 1;
+    }
+    
+    chapterEffect() {
+        const chapter = this.currentChapter();
+        return (chapter && chapter.effect) || this.config.effect;
+    }
+    
+    // A chapter with a theme of its own switches to it while it shows
+    chapterTheme() {
+        const chapter = this.currentChapter();
+        return (chapter && chapter.theme) || this.themeChoice;
+    }
+    
+    // The chapter's or config's own particle colors and shapes, or the theme's
+    appearance() {
+        const { theme } = themeManager;
+        const chapter = this.currentChapter() || {};
+        // A chapter's theme brings its own colors, over the config's
+        const themed = chapter.theme ? theme : {};
+        return {
+            palette: chapter.palette || themed.palette || this.config.palette || theme.palette,
+            shapes: chapter.shapes || themed.shapes || this.config.shapes || theme.shapes
+        };
+    }
+    
+    // Particles fade over to the new colors rather than flipping, when the theme or chapter changes
+    applyTheme() {
+        const heart = document.getElementById('main-heart');
+        if (heart) {
+            heart.textContent = themeManager.theme.heart;
+        }
+        if (this.particleSystem) {
+            const { palette, shapes } = this.appearance();
+            this.particleSystem.setAppearance(palette, shapes, CHAPTER_MORPH);
+        }
+    }
+    
+    // Shows another chapter: new copy, the chapter's effect played from the start over it and
+    // the particles changing over to its look
+    showChapter(index) {
+        const { chapters } = this.config;
+        if (index < 0 || index >= chapters.length) {
+            return;
+        }
+        this.chapter = index;
+        ChapterTimeline.remember(chapters, index);
+        this.renderContent();
+        if (this.reader) {
+            this.reader.layout();
+        }
+        
+        const theme = this.chapterTheme();
+        if (theme !== themeManager.choice) {
+            themeManager.set(theme);
+        } else {
+            this.applyTheme();
+        }
+        if (this.animationManager) {
+            this.animationManager.setEffect(this.chapterEffect());
+            this.updateEffectButtons();
+        }
+        if (this.timeline) {
+            this.timeline.select(index);
+        }
+        if (this.replyPanel && !this.isLastChapter()) {
+            this.replyPanel.close();
+        }
+        this.watchLetter();
+        announce(t('chapters.announce', { number: index + 1, total: chapters.length, title: chapters[index].title }));
+    }
+    
+    stepChapter(direction) {
+        if (this.timeline) {
+            this.showChapter(this.chapter + direction);
+        }
+    }
+    
+    // The timeline is only built once stage 3 is, and only for more than one chapter
+    setupTimeline() {
+        const root = document.getElementById('chapter-timeline');
+        if (this.config.chapters.length < 2 || !root) {
+            return;
+        }
+        this.timeline = new ChapterTimeline(root, this.config.chapters, index => this.showChapter(index));
+        this.timeline.select(this.chapter);
+    }
+    
+    // The reply panel is built with stage 3 and waits, hidden, for the letter to play out
+    setupReply() {
+        const root = document.getElementById('reply-panel');
+        if (!this.config.reply || !root) {
+            return;
+        }
+        this.replyPanel = new ReplyPanel(root, this.config.reply, {
+            title: this.config.title,
+            onReact: (emoji, button) => this.burstReaction(emoji, button)
+        });
+    }
+    
+    // Opens the reply panel once the letter's effect has played out, or after REPLY_DELAY of
+    // playing time for effects that loop; with chapters, only on the last one. An effect that
+    // is replaced (another effect, a motion preference change) passes the watch on to the next
+    watchLetter() {
+        const manager = this.animationManager;
+        const handle = manager && manager.handle;
+        if (!this.replyPanel || this.replyPanel.isOpen() || !this.run || !handle || handle === this.watchedHandle) {
+            return;
+        }
+        const { signal } = this.run;
+        const release = () => {
+            if (this.watchedHandle === handle) {
+                this.watchedHandle = null;
+            }
+        };
+        const reveal = () => {
+            release();
+            if (!signal.aborted && this.isLastChapter()) {
+                this.replyPanel.open();
+            }
+        };
+        this.watchedHandle = handle;
+        handle.finished.then(reveal, () => {
+            release();
+            if (!signal.aborted) {
+                this.watchLetter();
+            }
+        });
+        // The effect's timers hold while the page is paused and go when the effect does
+        if (handle.loops()) {
+            manager.timers.wait(REPLY_DELAY, signal).then(reveal, () => {});
+        }
+    }
+    
+    // A reaction bursts into particles of its own emoji, from the button pressed
+    burstReaction(emoji, button) {
+        const canvas = document.getElementById('particle-canvas');
+        if (!this.particleSystem || !canvas) {
+            return;
+        }
+        const shape = `reaction:${emoji}`;
+        if (!SHAPE_REGISTRY.has(shape)) {
+            registerCustomShapes({ [shape]: { text: emoji } });
+        }
+        const bounds = canvas.getBoundingClientRect();
+        const rect = button.getBoundingClientRect();
+        this.particleSystem.react(rect.left + rect.width / 2 - bounds.left, rect.top + rect.height / 2 - bounds.top, shape);
+    }
+    
+    // Steps through the themes, starting from the one showing
+    cycleTheme() {
+        const names = Object.keys(THEMES);
+        const next = names[(names.indexOf(themeManager.name) + 1) % names.length];
+        themeManager.set(next);
+        announce(t('announce.theme', { label: t(`theme.${next}`) }));
+    }
+    
+    // A paged or scrolled letter replaces #message-text
+    setupReader() {
+        const root = document.getElementById('letter-reader');
+        if (this.config.reader === 'inline' || !root) {
+            return;
+        }
+        this.reader = new LetterReader(root, this.config.reader);
+        const message = document.getElementById('message-text');
+        if (message) {
+            message.hidden = true;
+        }
+    }
+    
+    setupMusic() {
+        const audio = document.getElementById('background-music');
+        const musicBtn = document.getElementById('music-toggle');
+        const prompt = document.getElementById('music-prompt');
+        if (!this.config.music && musicBtn) {
+            musicBtn.hidden = true;
+        }
+        if (!audio) {
+            return;
+        }
+        this.audio = new AudioEngine(audio, this.config.music, { onChange: () => this.updateMusicState() });
+        if (prompt) {
+            prompt.addEventListener('click', () => this.playMusic(), { signal: this.listeners.signal });
+        }
+    }
+    
+    // A recipient who left the story part way through comes back to the chapter they were reading
+    startStageSequence() {
+        const final = this.stages.findIndex(stage => stage.type === 'final');
+        this.goTo(this.chapter > 0 && final !== -1 ? final : 0);
+    }
+    
+    // Shows a stage and runs it; whatever the previous stage was still doing is
+    // cancelled first, so jumping around never leaves stray timers behind
+    async goTo(index) {
+        if (index < 0 || index >= this.stages.length) {
+            return;
+        }
+        
+        this.leaveCurrent();
+        const run = new AbortController();
+        this.run = run;
+        this.currentIndex = index;
+        const stage = this.stages[index];
+        
+        document.querySelectorAll('.stage').forEach(element => {
+            element.classList.toggle('active', element === stage.element);
+        });
+        this.updateProgress();
+        this.updateIndicators();
+        document.dispatchEvent(new CustomEvent('stagechange', {
+            detail: { index, type: stage.type, total: this.stages.length }
+        }));
+        
+        try {
+            const work = stage.enter ? stage.enter(run.signal) : undefined;
+            const hasWork = Boolean(work && typeof work.then === 'function');
+            if (!hasWork && stage.duration === undefined) {
+                return;
+            }
+            await work;
+            if (stage.duration !== undefined) {
+                await wait(stage.duration, run.signal);
+            }
+        } catch (error) {
+            if (!isAbortError(error)) {
+                console.error(`Stage "${stage.type}" failed:`, error);
+            }
+            return;
+        }
+        
+        if (this.run === run) {
+            this.goTo(index + 1);
+        }
+    }
+    
+    leaveCurrent() {
+        if (this.run) {
+            this.run.abort();
+            this.run = null;
+        }
+        const current = this.stages[this.currentIndex];
+        if (current && current.exit) {
+            current.exit();
+        }
+    }
+    
+    next() {
+        this.goTo(this.currentIndex + 1);
+    }
+    
+    back() {
+        this.goTo(this.currentIndex - 1);
+    }
+    
+    // The story starts over from its first chapter too, and the reply waits for the letter again
+    replay() {
+        if (this.chapter > 0) {
+            this.showChapter(0);
+        }
+        if (this.replyPanel) {
+            this.replyPanel.close();
+        }
+        this.goTo(0);
+    }
+    
+    // Stage 1: VS Code typing, done once the snippet is typed out
+    async playEditor(signal) {
+        const container = document.querySelector('#stage1 .vscode-content');
+        if (!container) {
+            return;
+        }
+        if (!this.codeTyper) {
+            this.codeTyper = new CodeTyper(container, this.config.typing);
+        }
+        await this.codeTyper.type(this.buildCodeSnippet(), signal);
+    }
+    
+    // Stage 2: Run sequence, the preview only starts loading once the script is done
+    async playTerminal(signal) {
+        this.resetPreview();
+        const terminalContent = document.querySelector('#stage2 .terminal-content');
+        if (terminalContent) {
+            this.terminalPlayer = new TerminalPlayer(terminalContent, {
+                typingSpeed: this.config.typing.speed * 3,
+                values: this.templateValues()
+            });
+            await this.terminalPlayer.play(this.config.terminal.script, signal);
+        }
+        await this.loadPreview(this.config.timings.terminal, signal);
+    }
+    
+    // The photos play over the particles, which keep going into stage 3
+    async playGallery(signal) {
+        const root = document.getElementById('photo-gallery');
+        const stage = document.getElementById('stage3');
+        if (!root || !stage) {
+            return;
+        }
+        stage.classList.add('showing-gallery');
+        this.startParticles();
+        if (!this.gallery) {
+            this.gallery = new PhotoGallery(root, this.config.gallery);
+        }
+        await this.gallery.play(signal);
+    }
+    
+    exitGallery() {
+        const stage = document.getElementById('stage3');
+        if (stage) {
+            stage.classList.remove('showing-gallery');
+        }
+        if (this.gallery) {
+            this.gallery.stop();
+        }
+        if (this.particleSystem) {
+            this.particleSystem.pause();
+        }
+    }
+    
+    // Stage 3 is built once; coming back to it restarts the text effect instead
+    enterFinal() {
+        if (this.audio && this.config.music && this.config.music.autoplay && !this.musicDeclined) {
+            this.audio.play();
+        }
+        // Pages can only be measured once the stage is on screen
+        if (this.reader) {
+            this.reader.layout();
+        }
+        this.startParticles();
+        if (!this.animationManager) {
+            this.initStage3();
+        } else {
+            this.animationManager.startAnimation();
+        }
+        this.watchLetter();
+    }
+    
+    exitFinal() {
+        if (this.particleSystem) {
+            this.particleSystem.pause();
+        }
+        if (this.audio) {
+            this.audio.pause();
+        }
+    }
+    
+    templateValues() {
+        const { config } = this;
+        const { palette } = this.appearance();
+        return {
+            ...i18n.strings,
+            title: config.title,
+            fileName: config.fileName,
+            package: config.fileName.replace(/\.[^.]+$/, ''),
+            address: config.terminal.address,
+            primary: palette[0],
+            secondary: palette[1] || palette[0]
+        };
+    }
+    
+    buildCodeSnippet() {
+        return fillTemplate(this.config.code.join('\n'), this.templateValues());
+    }
+    
+    // Fills the browser preview's progress bar in uneven steps, like a real page load
+    async loadPreview(duration, signal) {
+        const preview = document.querySelector('.browser-preview');
+        const label = document.getElementById('preview-text');
+        const progress = document.getElementById('preview-progress');
+        const fill = document.getElementById('preview-progress-fill');
+        if (!preview || !progress || !fill) {
+            await wait(duration, signal);
+            return;
+        }
+        
+        preview.classList.add('loading');
+        progress.hidden = false;
+        const steps = 6;
+        let percent = 0;
+        for (let i = 1; i <= steps; i++) {
+            percent = i === steps ? 100 : Math.min(95, percent + Math.round((100 / steps) * (0.5 + Math.random())));
+            fill.style.width = `${percent}%`;
+            progress.setAttribute('aria-valuenow', percent);
+            if (label) {
+                label.textContent = percent < 100 ? t('preview.progress', { percent }) : t('preview.ready');
+            }
+            await wait(duration / steps, signal);
+        }
+        preview.classList.remove('loading');
+        preview.classList.add('ready');
+    }
+    
+    resetPreview() {
+        const preview = document.querySelector('.browser-preview');
+        const label = document.getElementById('preview-text');
+        const progress = document.getElementById('preview-progress');
+        const fill = document.getElementById('preview-progress-fill');
+        if (preview) {
+            preview.classList.remove('loading', 'ready');
+        }
+        if (label) {
+            label.textContent = t('preview.loading');
+        }
+        if (progress && fill) {
+            progress.hidden = true;
+            progress.setAttribute('aria-valuenow', 0);
+            fill.style.width = '0';
+        }
+    }
+    
+    buildIndicators() {
+        if (!this.indicatorList) {
+            return;
+        }
+        this.indicatorList.innerHTML = '';
+        this.stageIndicators = this.stages.map((stage, index) => {
+            const indicator = document.createElement('button');
+            indicator.type = 'button';
+            indicator.className = 'stage-indicator';
+            indicator.dataset.stage = index + 1;
+            indicator.textContent = index + 1;
+            indicator.setAttribute('aria-label', t('stage.goTo', { number: index + 1, label: stage.label }));
+            indicator.title = stage.label;
+            indicator.addEventListener('click', () => this.goTo(index), { signal: this.listeners.signal });
+            this.indicatorList.appendChild(indicator);
+            return indicator;
+        });
+    }
+    
+    initNavigation() {
+        const bindings = {
+            'stage-back': () => this.back(),
+            'stage-skip': () => this.next(),
+            'stage-replay': () => this.replay()
+        };
+        Object.entries(bindings).forEach(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', action, { signal: this.listeners.signal });
+            }
+        });
+    }
+    
+    // Re-renders the copy and restyles the running stage 3 with a new config,
+    // used by the editor's live preview
+    updateConfig(config) {
+        this.config = config;
+        this.chapter = Math.min(this.chapter, Math.max(config.chapters.length - 1, 0));
+        this.themeChoice = config.theme;
+        registerCustomShapes(config.customShapes);
+        this.renderContent();
+        
+        // Theme changes restyle the particles through applyTheme
+        themeManager.set(this.chapterTheme());
+        if (this.particleSystem) {
+            const { palette, shapes } = this.appearance();
+            this.particleSystem.setAppearance(palette, shapes);
+            this.particleSystem.setPhysics(config.physics);
+        }
+        if (this.animationManager) {
+            this.animationManager.setSpeed(config.speed);
+            this.animationManager.setEffect(this.chapterEffect());
+            this.updateSpeedButton();
+            this.updateEffectButtons();
+        }
+    }
+    
+    updateProgress() {
+        const progress = ((this.currentIndex + 1) / this.stages.length) * 100;
+        this.progressFill.style.width = `${progress}%`;
+    }
+    
+    updateIndicators() {
+        this.stageIndicators.forEach((indicator, index) => {
+            const isCurrent = index === this.currentIndex;
+            indicator.classList.toggle('active', isCurrent);
+            if (isCurrent) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+    }
+    
+    // Whichever of the gallery and stage 3 comes first starts the particles; after that
+    // they pick up again where they stopped, unless play/pause has them paused
+    startParticles() {
+        if (this.particleSystem) {
+            if (this.isPlaying) {
+                this.particleSystem.resume();
+            }
+            return;
+        }
+        const canvas = document.getElementById('particle-canvas');
+        if (canvas) {
+            const { palette, shapes } = this.appearance();
+            this.particleSystem = this.createParticleSystem(canvas, {
+                colors: palette,
+                shapes,
+                physics: this.config.physics,
+                frameBudget: this.config.renderer.frameBudget
+            });
+            this.particleSystem.animate();
+        }
+    }
+    
+    initStage3() {
+        // Particles and the heart pulse with the music
+        const heart = document.getElementById('main-heart');
+        if (this.audio) {
+            this.unsubscribeBeat = this.audio.subscribe(beat => {
+                if (this.particleSystem) {
+                    this.particleSystem.setBeat(beat);
+                }
+                if (heart && this.isPlaying) {
+                    heart.style.setProperty('--beat', beat.toFixed(3));
+                }
+            });
+        }
+        
+        // Initialize animation manager
+        this.animationManager = new AnimationManager({ ...this.config, effect: this.chapterEffect() }, { audio: this.audio, letter: !this.reader });
+        
+        // Initialize controls
+        this.initControls();
+        this.setupTimeline();
+        this.setupReply();
+    }
+    
+    createParticleSystem(canvas, options) {
+        if (this.config.renderer.worker && ParticleWorker.isSupported()) {
+            try {
+                return new ParticleWorker(canvas, options);
+            } catch (error) {
+                console.warn('Particle worker unavailable, drawing on the page instead:', error);
+            }
+        }
+        return new ParticleSystem(canvas, options);
+    }
+    
+    initControls() {
+        this.controls = {
+            playPause: document.getElementById('play-pause'),
+            speed: document.getElementById('speed-control'),
+            effect: document.getElementById('effect-cycle'),
+            music: document.getElementById('music-toggle'),
+            calm: document.getElementById('calm-toggle'),
+            exportOpen: document.getElementById('export-open'),
+            animButtons: this.buildEffectButtons()
+        };
+        const { signal } = this.listeners;
         
-        // Responsive particle count based on device
-        this.updateParticleCount();
-        this.resize();
-        this.init();
+        this.controls.playPause.addEventListener('click', () => this.togglePlay(), { signal });
+        this.controls.speed.addEventListener('click', () => {
+            const speed = this.animationManager.speed;
+            this.setSpeed(SPEED_STEPS[(SPEED_STEPS.indexOf(speed) + 1) % SPEED_STEPS.length]);
+        }, { signal });
+        this.controls.effect.addEventListener('click', () => this.cycleEffect(1), { signal });
+        this.controls.music.addEventListener('click', () => this.toggleMusic(), { signal });
+        this.controls.calm.addEventListener('click', () => {
+            motionPolicy.setCalm(!motionPolicy.calm);
+            announce(t(motionPolicy.calm ? 'announce.calmOn' : 'announce.calmOff'));
+        }, { signal });
+        this.unsubscribeMotion = motionPolicy.subscribe(() => this.updateCalmButton());
+        this.exporter = new AnimationExporter(this);
+        if (this.controls.exportOpen) {
+            this.controls.exportOpen.addEventListener('click', () => this.exporter.open(), { signal });
+        }
+        this.controls.animButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setEffect(btn.dataset.effect), { signal });
+        });
         
-        // Throttled resize handler for better performance
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                this.updateParticleCount();
-                this.resize();
-                this.reinitParticles();
-            }, 250);
+        this.toolbars = Array.from(document.querySelectorAll('.controls, .animation-controls'), toolbar => new RovingToolbar(toolbar));
+        
+        this.updateSpeedButton();
+        this.updateEffectButtons();
+        this.updateMusicButton();
+    }
+    
+    // One toolbar button per registered effect
+    buildEffectButtons() {
+        const toolbar = document.querySelector('.animation-controls');
+        if (!toolbar) {
+            return [];
+        }
+        toolbar.innerHTML = '';
+        return effectNames().map(name => {
+            const { label, description } = effectText(name);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'anim-btn';
+            button.dataset.effect = name;
+            button.textContent = label;
+            button.setAttribute('aria-label', description ? t('effect.buttonDescribed', { label, description }) : t('effect.button', { label }));
+            button.setAttribute('aria-pressed', 'false');
+            toolbar.appendChild(button);
+            return button;
         });
     }
     
-    updateParticleCount() {
-        const isMobile = window.innerWidth < 768;
-        const isTablet = window.innerWidth < 1024 && window.innerWidth >= 768;
-        const pixelRatio = window.devicePixelRatio || 1;
+    togglePlay() {
+        if (!this.animationManager) {
+            return;
+        }
+        this.isPlaying = !this.isPlaying;
+        const button = this.controls.playPause;
+        button.textContent = this.isPlaying ? '⏸️' : '▶️';
+        button.setAttribute('aria-label', t(this.isPlaying ? 'controls.pause' : 'controls.play'));
         
-        if (isMobile) {
-            this.particleCount = Math.floor(50 / pixelRatio);
-        } else if (isTablet) {
-            this.particleCount = Math.floor(75 / pixelRatio);
+        // Text effects, particles and the stage's CSS animations all stop where they are
+        if (this.isPlaying) {
+            this.animationManager.resumeAnimation();
         } else {
-            this.particleCount = Math.floor(100 / pixelRatio);
+            this.animationManager.pauseAnimation();
         }
+        if (this.particleSystem) {
+            if (this.isPlaying) {
+                this.particleSystem.resume();
+            } else {
+                this.particleSystem.pause();
+            }
+        }
+        const stage = document.getElementById('stage3');
+        if (stage) {
+            stage.classList.toggle('paused', !this.isPlaying);
+        }
+        announce(t(this.isPlaying ? 'announce.playing' : 'announce.paused'));
     }
     
-    resize() {
-        const dpr = window.devicePixelRatio || 1;
-        const rect = this.canvas.getBoundingClientRect();
-        
-        // Set actual size in memory (scaled for DPI)
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
-        
-        // Scale the context back down using CSS
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
-        
-        // Reset transform and scale the drawing context
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-        this.ctx.scale(dpr, dpr);
+    setSpeed(speed) {
+        if (!this.animationManager || !SPEED_STEPS.includes(speed)) {
+            return;
+        }
+        this.animationManager.setSpeed(speed);
+        this.updateSpeedButton();
+        announce(t('announce.speed', { speed }));
     }
     
-    reinitParticles() {
-        this.particles = [];
-        this.init();
+    // Steps through the speeds from slowest to fastest, stopping at either end
+    stepSpeed(direction) {
+        if (!this.animationManager) {
+            return;
+        }
+        const ordered = SPEED_STEPS.slice().sort((a, b) => a - b);
+        const index = ordered.indexOf(this.animationManager.speed) + direction;
+        if (index >= 0 && index < ordered.length) {
+            this.setSpeed(ordered[index]);
+        }
     }
     
-    init() {
-        for (let i = 0; i < this.particleCount; i++) {
-            this.particles.push(this.createParticle());
+    setEffect(effect) {
+        if (!this.animationManager || !EFFECT_REGISTRY.has(effect)) {
+            return;
         }
+        this.animationManager.setEffect(effect);
+        this.updateEffectButtons();
+        this.watchLetter();
+        announce(t('announce.effect', { label: effectText(effect).label }));
     }
     
-    createParticle() {
-        const rect = this.canvas.getBoundingClientRect();
-        return {
-            x: Math.random() * rect.width,
-            y: Math.random() * rect.height,
-            vx: (Math.random() - 0.5) * 2,
-            vy: (Math.random() - 0.5) * 2,
-            size: Math.random() * 8 + 4,
-            color: this.colors[Math.floor(Math.random() * this.colors.length)],
-            shape: this.shapes[Math.floor(Math.random() * this.shapes.length)],
-            opacity: Math.random() * 0.8 + 0.2,
-            glow: Math.random() * 20 + 10,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.1
-        };
-    }
-    
-    drawHeart(x, y, size, color, opacity) {
-        this.ctx.save();
-        this.ctx.globalAlpha = opacity;
-        this.ctx.fillStyle = color;
-        this.ctx.shadowColor = color;
-        this.ctx.shadowBlur = this.particles.find(p => p.x === x && p.y === y)?.glow || 15;
+    // Steps through the effects in the order they were registered
+    cycleEffect(direction) {
+        if (!this.animationManager) {
+            return;
+        }
+        const names = effectNames();
+        const index = names.indexOf(this.animationManager.currentEffect);
+        this.setEffect(names[(index + direction + names.length) % names.length]);
+    }
+    
+    toggleMusic() {
+        if (!this.audio || !this.config.music) {
+            return;
+        }
+        if (this.audio.isPlaying()) {
+            this.musicDeclined = true;
+            this.audio.pause();
+            announce(t('announce.musicOff'));
+        } else {
+            this.playMusic();
+        }
+    }
+    
+    playMusic() {
+        this.musicDeclined = false;
+        this.audio.play(MUSIC_FADE).then(isPlaying => {
+            if (isPlaying) {
+                announce(t('announce.musicOn'));
+            }
+        });
+    }
+    
+    updateSpeedButton() {
+        const speed = this.animationManager.speed;
+        this.controls.speed.textContent = speed === 2 ? '⚡⚡' : speed === 0.5 ? '🐌' : '⚡';
+        this.controls.speed.setAttribute('aria-label', t('controls.speed', { speed }));
+    }
+    
+    updateEffectButtons() {
+        const current = this.animationManager ? this.animationManager.currentEffect : this.chapterEffect();
+        document.querySelectorAll('.anim-btn').forEach(btn => {
+            const isActive = btn.dataset.effect === current;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+    
+    updateCalmButton() {
+        const button = this.controls.calm;
+        button.setAttribute('aria-pressed', String(motionPolicy.calm));
+        button.title = t(motionPolicy.calm
+            ? 'controls.calmOn'
+            : motionPolicy.reduced ? 'controls.calmSystem' : 'controls.calmTitle');
+    }
+    
+    // A blocked autoplay shows the tap-to-play prompt until music starts or is switched off
+    // A config whose music can't be found at all hides the music button and prompt
+    updateMusicState() {
+        const prompt = document.getElementById('music-prompt');
+        const musicBtn = document.getElementById('music-toggle');
+        if (prompt) {
+            prompt.hidden = !this.audio.blocked || this.audio.isPlaying() || this.musicDeclined || this.audio.unavailable;
+        }
+        if (musicBtn) {
+            musicBtn.hidden = !this.config.music || this.audio.unavailable;
+        }
+        this.updateMusicButton();
+    }
+    
+    updateMusicButton() {
+        if (!this.controls) {
+            return;
+        }
+        const isOn = Boolean(this.audio && this.audio.isPlaying());
+        this.controls.music.textContent = isOn ? '🔇' : '🎵';
+        this.controls.music.setAttribute('aria-pressed', String(isOn));
+    }
+    
+    // Stops the running stage and releases everything the manager set up, so a
+    // new StageManager can take over the page
+    destroy() {
+        if (this.run) {
+            this.run.abort();
+            this.run = null;
+        }
+        this.listeners.abort();
+        this.unsubscribeMotion();
+        this.unsubscribeBeat();
+        this.unsubscribeTheme();
+        [this.particleSystem, this.animationManager, this.audio, this.reader, this.timeline, this.gallery, this.replyPanel, this.exporter, this.codeTyper, ...this.toolbars].forEach(part => {
+            if (part) {
+                part.destroy();
+            }
+        });
+        this.particleSystem = null;
+        this.animationManager = null;
+        this.audio = null;
+        this.reader = null;
+        this.timeline = null;
+        this.gallery = null;
+        this.replyPanel = null;
+        this.watchedHandle = null;
+        this.exporter = null;
+        this.codeTyper = null;
+        this.toolbars = [];
+    }
+}
+
+// Roving Toolbar Class
+// Only one button per toolbar is in the tab order; arrow keys, Home and End move between them
+class RovingToolbar {
+    constructor(toolbar) {
+        this.toolbar = toolbar;
+        this.listeners = new AbortController();
+        const { signal } = this.listeners;
+        this.toolbar.addEventListener('keydown', (e) => this.handleKey(e), { signal });
+        this.toolbar.addEventListener('focusin', (e) => {
+            if (this.buttons().includes(e.target)) {
+                this.setCurrent(e.target);
+            }
+        }, { signal });
         
-        this.ctx.beginPath();
-        const topCurveHeight = size * 0.3;
-        this.ctx.moveTo(x, y + topCurveHeight);
-        this.ctx.bezierCurveTo(x, y, x - size / 2, y, x - size / 2, y + topCurveHeight);
-        this.ctx.bezierCurveTo(x - size / 2, y + (size + topCurveHeight) / 2, x, y + (size + topCurveHeight) / 2, x, y + size);
-        this.ctx.bezierCurveTo(x, y + (size + topCurveHeight) / 2, x + size / 2, y + (size + topCurveHeight) / 2, x + size / 2, y + topCurveHeight);
-        this.ctx.bezierCurveTo(x + size / 2, y, x, y, x, y + topCurveHeight);
-        this.ctx.closePath();
-        this.ctx.fill();
+        const buttons = this.buttons();
+        this.setCurrent(buttons.find(btn => btn.classList.contains('active')) || buttons[0]);
+    }
+    
+    buttons() {
+        return Array.from(this.toolbar.querySelectorAll('button')).filter(btn => !btn.hidden && !btn.disabled);
+    }
+    
+    setCurrent(current) {
+        this.buttons().forEach(btn => {
+            btn.tabIndex = btn === current ? 0 : -1;
+        });
+    }
+    
+    handleKey(e) {
+        const buttons = this.buttons();
+        const index = buttons.indexOf(document.activeElement);
+        if (index === -1) {
+            return;
+        }
         
-        this.ctx.restore();
+        const step = direction => buttons[(index + direction + buttons.length) % buttons.length];
+        let target = null;
+        switch (e.key) {
+            // Left and right follow the reading direction, so they swap in rtl languages
+            case 'ArrowRight':
+            case 'ArrowLeft':
+                target = step(i18n.arrowStep(e.key));
+                break;
+            case 'ArrowDown':
+                target = step(1);
+                break;
+            case 'ArrowUp':
+                target = step(-1);
+                break;
+            case 'Home':
+                target = buttons[0];
+                break;
+            case 'End':
+                target = buttons[buttons.length - 1];
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        // Arrow keys inside a toolbar move focus, they shouldn't also cycle effects
+        e.stopPropagation();
+        this.setCurrent(target);
+        target.focus();
     }
     
-    drawCircle(x, y, size, color, opacity) {
-        this.ctx.save();
-        this.ctx.globalAlpha = opacity;
-        this.ctx.fillStyle = color;
-        this.ctx.shadowColor = color;
-        this.ctx.shadowBlur = this.particles.find(p => p.x === x && p.y === y)?.glow || 15;
+    destroy() {
+        this.listeners.abort();
+    }
+}
+
+// Keyboard Shortcuts Class
+// description is a catalog key; chapters marks keys only listed when there is a timeline
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['Space'], description: 'shortcuts.play' },
+    { keys: ['←', '→'], description: 'shortcuts.effect' },
+    { keys: ['+', '−'], description: 'shortcuts.speed' },
+    { keys: ['M'], description: 'shortcuts.music' },
+    { keys: ['S'], description: 'shortcuts.skip' },
+    { keys: ['[', ']'], description: 'shortcuts.chapter', chapters: true },
+    { keys: ['T'], description: 'shortcuts.theme' },
+    { keys: ['E'], description: 'shortcuts.export' },
+    { keys: ['?'], description: 'shortcuts.help' }
+];
+
+class KeyboardShortcuts {
+    constructor(stageManager) {
+        this.stageManager = stageManager;
+        this.help = document.getElementById('shortcut-help');
+        this.returnFocus = null;
+        this.listeners = new AbortController();
         
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, size / 2, 0, Math.PI * 2);
-        this.ctx.fill();
+        this.buildHelp();
+        document.addEventListener('keydown', (e) => this.handleKey(e), { signal: this.listeners.signal });
+    }
+    
+    buildHelp() {
+        if (!this.help) {
+            return;
+        }
+        const list = this.help.querySelector('.shortcut-list');
+        const hasTimeline = this.stageManager.config.chapters.length > 1;
+        KEYBOARD_SHORTCUTS.filter(shortcut => !shortcut.chapters || hasTimeline).forEach(({ keys, description }) => {
+            const term = document.createElement('dt');
+            keys.forEach(key => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key === 'Space' ? t('shortcuts.space') : key;
+                term.appendChild(kbd);
+            });
+            const detail = document.createElement('dd');
+            detail.textContent = t(description);
+            list.append(term, detail);
+        });
         
-        this.ctx.restore();
+        const { signal } = this.listeners;
+        this.help.querySelector('.shortcut-close').addEventListener('click', () => this.toggleHelp(false), { signal });
+        this.help.addEventListener('click', (e) => {
+            if (e.target === this.help) {
+                this.toggleHelp(false);
+            }
+        }, { signal });
     }
     
-    drawStar(x, y, size, color, opacity) {
-        this.ctx.save();
-        this.ctx.globalAlpha = opacity;
-        this.ctx.fillStyle = color;
-        this.ctx.shadowColor = color;
-        this.ctx.shadowBlur = this.particles.find(p => p.x === x && p.y === y)?.glow || 15;
-        
-        this.ctx.beginPath();
-        for (let i = 0; i < 5; i++) {
-            const angle = (i * 4 * Math.PI) / 5 - Math.PI / 2;
-            const nextX = x + Math.cos(angle) * size;
-            const nextY = y + Math.sin(angle) * size;
-            if (i === 0) {
-                this.ctx.moveTo(nextX, nextY);
-            } else {
-                this.ctx.lineTo(nextX, nextY);
+    // Keys typed into form fields (the editor) or combined with modifiers are left alone, and so is
+    // every key while the unlock gate is up
+    shouldIgnore(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || document.body.classList.contains('gated')) {
+            return true;
+        }
+        const target = e.target;
+        // The export dialog and the photo lightbox handle their own keys
+        if (target && target.closest && target.closest('.export-dialog, .gallery-lightbox')) {
+            return true;
+        }
+        return Boolean(target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)));
+    }
+    
+    handleKey(e) {
+        if (this.shouldIgnore(e)) {
+            return;
+        }
+        
+        if (this.isHelpOpen()) {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                this.toggleHelp(false);
+            } else if (e.key === 'Tab') {
+                // The close button is the only stop inside the dialog
+                e.preventDefault();
+                this.help.querySelector('.shortcut-close').focus();
             }
+            return;
         }
-        this.ctx.closePath();
-        this.ctx.fill();
         
-        this.ctx.restore();
+        const manager = this.stageManager;
+        switch (e.key) {
+            case ' ':
+                // A focused button already reacts to Space on its own
+                if (e.target.tagName === 'BUTTON') {
+                    return;
+                }
+                manager.togglePlay();
+                break;
+            case 'ArrowRight':
+            case 'ArrowLeft':
+                // On the gallery stage they move between photos instead
+                if (manager.gallery && manager.gallery.isShowing()) {
+                    manager.gallery.step(i18n.arrowStep(e.key));
+                } else {
+                    manager.cycleEffect(i18n.arrowStep(e.key));
+                }
+                break;
+            case '+':
+            case '=':
+                manager.stepSpeed(1);
+                break;
+            case '-':
+            case '_':
+                manager.stepSpeed(-1);
+                break;
+            case 'm':
+            case 'M':
+                manager.toggleMusic();
+                break;
+            case 's':
+            case 'S':
+                manager.next();
+                break;
+            case '[':
+            case ']':
+                if (!manager.timeline) {
+                    return;
+                }
+                manager.stepChapter(e.key === ']' ? 1 : -1);
+                break;
+            case 't':
+            case 'T':
+                manager.cycleTheme();
+                break;
+            case 'e':
+            case 'E':
+                if (!manager.exporter) {
+                    return;
+                }
+                manager.exporter.open();
+                break;
+            case '?':
+                this.toggleHelp(true);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
     }
     
-    update() {
-        const rect = this.canvas.getBoundingClientRect();
+    isHelpOpen() {
+        return Boolean(this.help && !this.help.hidden);
+    }
+    
+    toggleHelp(open) {
+        if (!this.help) {
+            return;
+        }
+        if (open) {
+            this.returnFocus = document.activeElement;
+            this.help.hidden = false;
+            this.help.querySelector('.shortcut-close').focus();
+        } else {
+            this.help.hidden = true;
+            if (this.returnFocus && this.returnFocus.focus) {
+                this.returnFocus.focus();
+            }
+        }
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        if (this.help) {
+            this.help.hidden = true;
+            this.help.querySelector('.shortcut-list').innerHTML = '';
+        }
+    }
+}
+
+// GIF Encoder Class
+// Pure-JS animated GIF writer: each frame gets its own 256 color palette (median cut
+// over a 15-bit histogram) and is LZW-compressed into a looping GIF89a
+class GifEncoder {
+    constructor(width, height, { delay = 100, loop = 0 } = {}) {
+        this.width = width;
+        this.height = height;
+        // GIF delays are in hundredths of a second
+        this.delay = Math.max(2, Math.round(delay / 10));
+        this.parts = [GifEncoder.header(width, height, loop)];
+    }
+    
+    static header(width, height, loop) {
+        const bytes = [0x47, 0x49, 0x46, 0x38, 0x39, 0x61];
+        bytes.push(width & 0xff, width >> 8, height & 0xff, height >> 8, 0, 0, 0);
+        // NETSCAPE2.0 application extension: repeat count (0 = forever)
+        bytes.push(0x21, 0xff, 0x0b, ...Array.from('NETSCAPE2.0', c => c.charCodeAt(0)), 0x03, 0x01, loop & 0xff, loop >> 8, 0x00);
+        return new Uint8Array(bytes);
+    }
+    
+    // rgba is the data of an ImageData the size of the GIF
+    addFrame(rgba) {
+        const { palette, indices } = GifEncoder.quantize(rgba);
+        const { width, height, delay } = this;
+        const head = [
+            // Graphic control extension: no transparency, frame delay
+            0x21, 0xf9, 0x04, 0x00, delay & 0xff, delay >> 8, 0x00, 0x00,
+            // Image descriptor with a 256 entry local color table
+            0x2c, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8, 0x87
+        ];
+        this.parts.push(new Uint8Array(head), palette, new Uint8Array([8]), GifEncoder.lzw(indices, 8));
+    }
+    
+    finish() {
+        this.parts.push(new Uint8Array([0x3b]));
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+    
+    static quantize(rgba, maxColors = 256) {
+        const pixelCount = rgba.length / 4;
+        const keys = new Uint16Array(pixelCount);
+        const histogram = new Uint32Array(32768);
+        for (let i = 0; i < pixelCount; i++) {
+            const key = ((rgba[i * 4] >> 3) << 10) | ((rgba[i * 4 + 1] >> 3) << 5) | (rgba[i * 4 + 2] >> 3);
+            keys[i] = key;
+            histogram[key]++;
+        }
         
-        // Clear the canvas (already scaled in resize)
-        this.ctx.clearRect(0, 0, rect.width, rect.height);
+        const colors = [];
+        histogram.forEach((count, key) => {
+            if (count > 0) {
+                colors.push(key);
+            }
+        });
         
-        this.particles.forEach(particle => {
-            particle.x += particle.vx;
-            particle.y += particle.vy;
-            particle.rotation += particle.rotationSpeed;
-            
-            if (particle.x < 0 || particle.x > rect.width) {
-                particle.vx *= -1;
+        const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+        const describe = (box) => {
+            let widest = 0;
+            let range = -1;
+            for (let c = 0; c < 3; c++) {
+                let min = 31;
+                let max = 0;
+                box.forEach(key => {
+                    const value = channel(key, c);
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                });
+                if (max - min > range) {
+                    range = max - min;
+                    widest = c;
+                }
             }
-            if (particle.y < 0 || particle.y > rect.height) {
-                particle.vy *= -1;
+            return { colors: box, channel: widest, range };
+        };
+        
+        // Split the box with the widest spread at its pixel-weighted median until the palette is full
+        const boxes = [describe(colors)];
+        while (boxes.length < maxColors) {
+            let target = null;
+            boxes.forEach(box => {
+                if (box.colors.length > 1 && (!target || box.range > target.range)) {
+                    target = box;
+                }
+            });
+            if (!target || target.range === 0) {
+                break;
             }
-            
-            this.ctx.save();
-            this.ctx.translate(particle.x, particle.y);
-            this.ctx.rotate(particle.rotation);
-            
-            switch (particle.shape) {
-                case 'heart':
-                    this.drawHeart(0, 0, particle.size, particle.color, particle.opacity);
-                    break;
-                case 'circle':
-                    this.drawCircle(0, 0, particle.size, particle.color, particle.opacity);
-                    break;
-                case 'star':
-                    this.drawStar(0, 0, particle.size, particle.color, particle.opacity);
+            const sorted = target.colors.sort((a, b) => channel(a, target.channel) - channel(b, target.channel));
+            const total = sorted.reduce((sum, key) => sum + histogram[key], 0);
+            let seen = 0;
+            let cut = 1;
+            for (; cut < sorted.length - 1; cut++) {
+                seen += histogram[sorted[cut - 1]];
+                if (seen >= total / 2) {
                     break;
+                }
             }
-            
-            this.ctx.restore();
+            boxes.splice(boxes.indexOf(target), 1, describe(sorted.slice(0, cut)), describe(sorted.slice(cut)));
+        }
+        
+        const palette = new Uint8Array(256 * 3);
+        const lookup = new Uint8Array(32768);
+        boxes.forEach((box, index) => {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let weight = 0;
+            box.colors.forEach(key => {
+                const count = histogram[key];
+                r += channel(key, 0) * count;
+                g += channel(key, 1) * count;
+                b += channel(key, 2) * count;
+                weight += count;
+                lookup[key] = index;
+            });
+            // Scale the 5-bit averages back to 8 bits
+            palette[index * 3] = Math.round((r / weight) * 255 / 31);
+            palette[index * 3 + 1] = Math.round((g / weight) * 255 / 31);
+            palette[index * 3 + 2] = Math.round((b / weight) * 255 / 31);
         });
+        
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = lookup[keys[i]];
+        }
+        return { palette, indices };
     }
     
-    animate() {
-        if (!this.isPaused) {
-            this.update();
+    // Variable-width LZW as the GIF spec wants it, packed into 255 byte sub-blocks
+    static lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = new Uint8Array(Math.ceil(indices.length * 1.5) + 16);
+        let length = 0;
+        let buffer = 0;
+        let bufferBits = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        const table = new Map();
+        
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output[length++] = buffer & 0xff;
+                buffer >>= 8;
+                bufferBits -= 8;
+            }
+        };
+        
+        emit(clearCode);
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const value = indices[i];
+            const key = (prefix << 8) | value;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) {
+                    codeSize++;
+                }
+                table.set(key, nextCode++);
+            }
+            prefix = value;
+        }
+        emit(prefix);
+        emit(endCode);
+        if (bufferBits > 0) {
+            output[length++] = buffer & 0xff;
         }
-        this.animationFrame = requestAnimationFrame(() => this.animate());
+        
+        const blocks = new Uint8Array(length + Math.ceil(length / 255) + 1);
+        let offset = 0;
+        for (let start = 0; start < length; start += 255) {
+            const size = Math.min(255, length - start);
+            blocks[offset++] = size;
+            blocks.set(output.subarray(start, start + size), offset);
+            offset += size;
+        }
+        blocks[offset] = 0;
+        return blocks;
     }
-    
-    pause() {
-        this.isPaused = true;
+}
+
+// Animation Exporter Class
+// Saves stage 3 as a WebM video or animated GIF. Frames are drawn off screen from a
+// seeded particle system stepped by the frame number, so every frame lands exactly
+// on its timestamp whatever the display's refresh rate or how long encoding takes
+// Formats are labelled by the catalog's export.<format>
+const EXPORT_FORMATS = {
+    webm: { fps: 30, extension: 'webm' },
+    gif: { fps: 20, extension: 'gif' }
+};
+const EXPORT_DURATIONS = [3, 5, 10];
+const EXPORT_RESOLUTIONS = {
+    '480p': { width: 854, height: 480 },
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    portrait: { width: 720, height: 1280 }
+};
+// Layout is done at this many units on the short side and scaled to the output
+const EXPORT_BASE_SIZE = 720;
+const EXPORT_SEED = 0x5eed;
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+class AnimationExporter {
+    constructor(stageManager) {
+        this.stageManager = stageManager;
+        this.dialog = document.getElementById('export-dialog');
+        this.form = document.getElementById('export-form');
+        this.controller = null;
+        this.returnFocus = null;
+        this.listeners = new AbortController();
+        if (!this.dialog || !this.form) {
+            return;
+        }
+        const { signal } = this.listeners;
+        this.status = this.dialog.querySelector('.export-status');
+        this.progress = this.dialog.querySelector('.export-progress');
+        this.submit = this.dialog.querySelector('.export-start');
+        
+        this.buildOptions();
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.start();
+        }, { signal });
+        this.dialog.querySelector('.export-close').addEventListener('click', () => this.close(), { signal });
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.close();
+            }
+        }, { signal });
+        this.dialog.addEventListener('keydown', (e) => this.handleKey(e), { signal });
     }
     
-    resume() {
-        this.isPaused = false;
+    // Cancels a running export and empties the dialog's generated options
+    destroy() {
+        this.listeners.abort();
+        if (this.controller) {
+            this.controller.abort();
+        }
+        if (this.form) {
+            this.dialog.hidden = true;
+            ['format', 'duration', 'resolution'].forEach(name => {
+                this.form.elements[name].length = 0;
+            });
+        }
     }
     
-    destroy() {
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
+    static webmType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            return null;
         }
+        return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
     }
-}
-
-// Animation Manager Class
-class AnimationManager {
-    constructor() {
-        this.currentEffect = 'fade';
-        this.isPlaying = true;
-        this.speed = 1;
-        this.elements = {
-            title: document.getElementById('main-title'),
-            subtitle: document.getElementById('subtitle'),
-            message: document.getElementById('message-text'),
-            heart: document.getElementById('main-heart')
-        };
-        
-        this.effects = {
-            fade: this.fadeEffect.bind(this),
-            typewriter: this.typewriterEffect.bind(this),
-            morph: this.morphEffect.bind(this),
-            scale: this.scaleEffect.bind(this),
-            rotate: this.rotateEffect.bind(this),
-            combined: this.combinedEffect.bind(this)
+    
+    buildOptions() {
+        const addOptions = (select, entries) => {
+            entries.forEach(([value, label, disabled]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.disabled = Boolean(disabled);
+                select.appendChild(option);
+            });
         };
-        
-        this.init();
+        const webmMissing = !AnimationExporter.webmType();
+        addOptions(this.form.elements.format, Object.keys(EXPORT_FORMATS).map(value => [
+            value,
+            value === 'webm' && webmMissing ? t('export.unsupported', { label: t('export.webm') }) : t(`export.${value}`),
+            value === 'webm' && webmMissing
+        ]));
+        addOptions(this.form.elements.duration, EXPORT_DURATIONS.map(seconds => [seconds, t('export.seconds', { seconds })]));
+        addOptions(this.form.elements.resolution, Object.entries(EXPORT_RESOLUTIONS).map(([value, { width, height }]) => {
+            const size = `${width} × ${height}`;
+            return [value, height > width ? t('export.portrait', { size }) : size];
+        }));
+        this.form.elements.format.value = webmMissing ? 'gif' : 'webm';
+        this.form.elements.duration.value = String(EXPORT_DURATIONS[1]);
+        this.form.elements.resolution.value = '720p';
     }
     
-    init() {
-        this.startAnimation();
+    isOpen() {
+        return Boolean(this.dialog && !this.dialog.hidden);
+    }
+    
+    open() {
+        if (!this.dialog || this.isOpen()) {
+            return;
+        }
+        this.returnFocus = document.activeElement;
+        this.dialog.hidden = false;
+        this.showStatus('');
+        this.form.elements.format.focus();
+    }
+    
+    // Closing while a render runs cancels it
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.dialog.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+    }
+    
+    handleKey(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'Tab') {
+            // Keep focus inside the dialog
+            const focusable = [...this.dialog.querySelectorAll('select, button')].filter(el => !el.disabled);
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+    
+    async start() {
+        if (this.controller) {
+            return;
+        }
+        const elements = this.form.elements;
+        const options = {
+            format: elements.format.value,
+            duration: Number(elements.duration.value),
+            ...EXPORT_RESOLUTIONS[elements.resolution.value]
+        };
+        
+        this.controller = new AbortController();
+        this.setBusy(true);
+        this.showStatus(t('export.rendering'));
+        try {
+            const blob = await this.render(options, this.controller.signal);
+            const name = this.stageManager.config.fileName.replace(/\.html?$/i, '');
+            downloadBlob(blob, `${name}.${EXPORT_FORMATS[options.format].extension}`);
+            const size = new Intl.NumberFormat(i18n.lang, { minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(blob.size / 1048576);
+            this.showStatus(t('export.saved', { size }));
+            announce(t('export.finished'));
+        } catch (error) {
+            if (isAbortError(error)) {
+                this.showStatus(t('export.cancelled'));
+            } else {
+                console.error('Export failed:', error);
+                this.showStatus(t('export.failed'), true);
+            }
+        } finally {
+            this.controller = null;
+            this.setBusy(false);
+        }
     }
     
-    removeAllEffects() {
-        Object.values(this.elements).forEach(element => {
-            if (element) {
-                element.className = element.className.replace(/\w+-effect/g, '');
-                element.style.animation = '';
-                element.style.opacity = '';
-                element.style.transform = '';
+    setBusy(isBusy) {
+        [...this.form.elements].forEach(element => {
+            if (element.tagName === 'SELECT') {
+                element.disabled = isBusy;
             }
         });
-        
-        // Restore message text if it was modified
-        if (this.elements.message && this.elements.message.dataset.originalHTML) {
-            this.elements.message.innerHTML = this.elements.message.dataset.originalHTML;
-            delete this.elements.message.dataset.originalHTML;
-        }
+        this.submit.disabled = isBusy;
+        this.progress.hidden = !isBusy;
+        this.setProgress(0);
     }
     
-    fadeEffect() {
-        this.removeAllEffects();
+    setProgress(fraction) {
+        const percent = Math.round(fraction * 100);
+        this.progress.setAttribute('aria-valuenow', String(percent));
+        this.progress.firstElementChild.style.width = `${percent}%`;
+    }
+    
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+    
+    async render({ format, duration, width, height }, signal) {
+        if (document.fonts && document.fonts.ready) {
+            await document.fonts.ready;
+        }
+        const fps = EXPORT_FORMATS[format].fps;
+        const frameCount = Math.round(duration * fps);
+        const renderer = this.createRenderer(width, height, fps);
         
-        // Elegant fade-in with stagger
-        const textElements = [this.elements.title, this.elements.subtitle, this.elements.message];
-        textElements.forEach((element, index) => {
-            if (element) {
-                element.style.opacity = '0';
-                element.style.transform = 'translateY(20px)';
-                setTimeout(() => {
-                    element.classList.add('fade-effect');
-                    element.style.opacity = '';
-                    element.style.transform = '';
-                }, index * 300 / this.speed);
+        try {
+            if (format === 'gif') {
+                const encoder = new GifEncoder(width, height, { delay: 1000 / fps });
+                for (let frame = 0; frame < frameCount; frame++) {
+                    renderer.draw(frame);
+                    encoder.addFrame(renderer.ctx.getImageData(0, 0, width, height).data);
+                    this.setProgress((frame + 1) / frameCount);
+                    // Yield so the progress bar paints and Cancel stays responsive
+                    await wait(0, signal);
+                }
+                return encoder.finish();
             }
-        });
-        
-        // Heart gets a subtle pulse
-        if (this.elements.heart) {
-            this.elements.heart.classList.add('fade-effect');
+            return await this.recordWebM(renderer, frameCount, fps, signal);
+        } finally {
+            renderer.destroy();
         }
     }
     
-    typewriterEffect() {
-        this.removeAllEffects();
-        
-        // Store original HTML if not already stored
-        if (this.elements.message && !this.elements.message.dataset.originalHTML) {
-            this.elements.message.dataset.originalHTML = this.elements.message.innerHTML;
+    // MediaRecorder stamps frames with wall-clock time, so each one is pushed by hand and held
+    // for exactly one frame interval; what is drawn depends only on the frame number
+    recordWebM(renderer, frameCount, fps, signal) {
+        const mimeType = AnimationExporter.webmType();
+        if (!mimeType) {
+            return Promise.reject(new Error('WebM recording is not supported'));
         }
+        const stream = renderer.canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: Math.round(renderer.canvas.width * renderer.canvas.height * fps * 0.15)
+        });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        });
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+        // Frames are held while the page is hidden, the recording has to hold with them
+        const onVisibility = () => {
+            if (document.hidden && recorder.state === 'recording') {
+                recorder.pause();
+            } else if (!document.hidden && recorder.state === 'paused') {
+                recorder.resume();
+            }
+        };
         
-        // Store original text lengths before modifying
-        const titleText = this.elements.title ? this.elements.title.textContent : '';
-        const subtitleText = this.elements.subtitle ? this.elements.subtitle.textContent : '';
-        const titleLength = titleText.length;
-        const subtitleLength = subtitleText.length;
-        
-        // Handle title with typewriter
-        if (this.elements.title) {
-            this.elements.title.textContent = '';
-            this.elements.title.classList.add('typewriter-effect');
-            
-            let charIndex = 0;
-            const typeTitle = () => {
-                if (charIndex < titleLength) {
-                    this.elements.title.textContent += titleText.charAt(charIndex);
-                    charIndex++;
-                    setTimeout(typeTitle, 50 / this.speed);
-                } else {
-                    this.elements.title.classList.remove('typewriter-effect');
-                    this.elements.title.style.borderRight = 'none';
+        const run = async () => {
+            recorder.start();
+            document.addEventListener('visibilitychange', onVisibility);
+            try {
+                for (let frame = 0; frame < frameCount; frame++) {
+                    renderer.draw(frame);
+                    track.requestFrame();
+                    this.setProgress((frame + 1) / frameCount);
+                    await wait(1000 / fps, signal);
                 }
-            };
-            setTimeout(() => typeTitle(), 200 / this.speed);
-        }
+            } finally {
+                document.removeEventListener('visibilitychange', onVisibility);
+                recorder.stop();
+                await stopped;
+                track.stop();
+            }
+            return new Blob(chunks, { type: 'video/webm' });
+        };
+        return run();
+    }
+    
+    // Draws the stage 3 scene (gradient, particles, title, subtitle, beating heart) for a frame number,
+    // the chapter showing when there are chapters
+    createRenderer(width, height, fps) {
+        const config = this.stageManager.config;
+        const { palette, shapes } = this.stageManager.appearance();
+        const { title, subtitle } = this.stageManager.heading();
+        const scale = Math.min(width, height) / EXPORT_BASE_SIZE;
+        const size = { width: width / scale, height: height / scale };
         
-        // Handle subtitle with typewriter
-        if (this.elements.subtitle) {
-            const subtitleDelay = (titleLength * 50 + 500) / this.speed;
-            setTimeout(() => {
-                this.elements.subtitle.textContent = '';
-                this.elements.subtitle.classList.add('typewriter-effect');
-                
-                let charIndex = 0;
-                const typeSubtitle = () => {
-                    if (charIndex < subtitleLength) {
-                        this.elements.subtitle.textContent += subtitleText.charAt(charIndex);
-                        charIndex++;
-                        setTimeout(typeSubtitle, 40 / this.speed);
-                    } else {
-                        this.elements.subtitle.classList.remove('typewriter-effect');
-                        this.elements.subtitle.style.borderRight = 'none';
-                    }
-                };
-                typeSubtitle();
-            }, subtitleDelay);
-        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const particles = new ParticleSystem(document.createElement('canvas'), {
+            colors: palette,
+            shapes,
+            physics: config.physics,
+            size: { ...size, pixelRatio: scale },
+            random: createRandom(EXPORT_SEED)
+        });
         
-        // Handle message with word-by-word reveal (better for responsive)
-        if (this.elements.message) {
-            const messageElement = this.elements.message;
-            const originalHTML = messageElement.dataset.originalHTML || messageElement.innerHTML;
+        const titleElement = document.getElementById('main-title');
+        const subtitleElement = document.getElementById('subtitle');
+        const heartElement = document.getElementById('main-heart');
+        const fontOf = (element, fallback) => (element ? getComputedStyle(element).fontFamily : '') || fallback;
+        const titleFont = fontOf(titleElement, 'cursive');
+        const subtitleFont = fontOf(subtitleElement, 'serif');
+        const background = AnimationExporter.gradientColors(document.querySelector('.final-website'), palette);
+        
+        let drawnFrame = -1;
+        const draw = (frame) => {
+            // Particles only move forward; re-drawing the same frame must not step them again
+            particles.update(frame === drawnFrame ? 0 : (frame - drawnFrame) * 60 / fps);
+            drawnFrame = frame;
+            const time = frame / fps;
             
-            // Parse HTML to preserve line breaks
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = originalHTML;
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            const gradient = ctx.createLinearGradient(0, 0, width, height);
+            background.forEach((color, index) => gradient.addColorStop(index / Math.max(background.length - 1, 1), color));
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+            ctx.drawImage(particles.canvas, 0, 0, width, height);
             
-            // Process each node to preserve structure
-            const processNode = (node) => {
-                if (node.nodeType === Node.TEXT_NODE) {
-                    const text = node.textContent;
-                    const words = text.split(/(\s+)/);
-                    return words.map(word => ({ type: 'text', content: word }));
-                } else if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'BR') {
-                    return [{ type: 'break' }];
-                } else if (node.nodeType === Node.ELEMENT_NODE) {
-                    const children = Array.from(node.childNodes);
-                    return children.flatMap(processNode);
-                }
-                return [];
-            };
+            ctx.scale(scale, scale);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillStyle = '#ffffff';
             
-            const nodes = Array.from(tempDiv.childNodes);
-            const tokens = nodes.flatMap(processNode);
+            // Same entrance as the page: fade in and rise over the first second
+            const entrance = Math.min(time, 1);
+            const lift = (1 - entrance) * 30;
+            ctx.globalAlpha = entrance;
             
-            messageElement.innerHTML = '';
-            messageElement.style.opacity = '1';
+            const maxWidth = size.width * 0.85;
+            ctx.font = `700 64px ${titleFont}`;
+            const titleLines = AnimationExporter.wrapText(ctx, title, maxWidth);
+            ctx.font = `italic 26px ${subtitleFont}`;
+            const subtitleLines = subtitle ? AnimationExporter.wrapText(ctx, subtitle, maxWidth) : [];
+            const heartSize = 96;
+            const blockHeight = titleLines.length * 77 + 20 + subtitleLines.length * 36 + 30 + heartSize;
+            let y = (size.height - blockHeight) / 2 + lift;
             
-            let tokenIndex = 0;
-            const typeMessage = () => {
-                if (tokenIndex < tokens.length) {
-                    const token = tokens[tokenIndex];
-                    if (token.type === 'break') {
-                        messageElement.appendChild(document.createElement('br'));
-                        tokenIndex++;
-                        setTimeout(typeMessage, 50 / this.speed);
-                    } else if (token.content.trim() || token.content === ' ') {
-                        const span = document.createElement('span');
-                        span.textContent = token.content;
-                        span.style.opacity = '0';
-                        span.style.animation = 'fadeInWord 0.2s ease-in forwards';
-                        messageElement.appendChild(span);
-                        tokenIndex++;
-                        setTimeout(typeMessage, 25 / this.speed);
-                    } else {
-                        tokenIndex++;
-                        setTimeout(typeMessage, 10 / this.speed);
-                    }
-                }
-            };
+            ctx.save();
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+            ctx.shadowBlur = 8;
+            ctx.shadowOffsetY = 2;
+            ctx.font = `700 64px ${titleFont}`;
+            titleLines.forEach(line => {
+                ctx.fillText(line, size.width / 2, y + 38);
+                y += 77;
+            });
+            y += 20;
+            ctx.font = `italic 26px ${subtitleFont}`;
+            ctx.globalAlpha = entrance * 0.95;
+            subtitleLines.forEach(line => {
+                ctx.fillText(line, size.width / 2, y + 18);
+                y += 36;
+            });
+            ctx.restore();
+            y += 30;
             
-            const messageDelay = ((titleLength * 50) + (subtitleLength * 40) + 1000) / this.speed;
-            setTimeout(() => {
-                typeMessage();
-            }, messageDelay);
-        }
+            // Matches the 1.5s heartbeat keyframes (scale 1 → 1.15 → 1)
+            const beat = 1 + 0.075 * (1 - Math.cos((time / 1.5) * Math.PI * 2));
+            ctx.save();
+            ctx.translate(size.width / 2, y + heartSize / 2);
+            ctx.scale(beat, beat);
+            ctx.shadowColor = `rgba(${hexToRGB(themeManager.theme.accent)}, 0.6)`;
+            ctx.shadowBlur = 20;
+            ctx.font = `${heartSize}px serif`;
+            ctx.fillText(heartElement ? heartElement.textContent : '❤️', 0, 0);
+            ctx.restore();
+        };
+        
+        return { canvas, ctx, draw, destroy: () => particles.destroy() };
     }
     
-    morphEffect() {
-        this.removeAllEffects();
-        // Subtle morph only on title and heart
-        if (this.elements.title) {
-            this.elements.title.classList.add('morph-effect');
-        }
-        if (this.elements.heart) {
-            this.elements.heart.classList.add('morph-effect');
-        }
-        // Subtitle and message get fade
-        if (this.elements.subtitle) {
-            this.elements.subtitle.style.animation = 'fadeIn 1.5s ease-in-out';
-        }
-        if (this.elements.message) {
-            this.elements.message.style.animation = 'fadeIn 1.5s ease-in-out';
-        }
+    // Colors of the element's CSS gradient, so the export follows the page background
+    static gradientColors(element, fallback) {
+        const image = element ? getComputedStyle(element).backgroundImage : '';
+        const colors = image.match(/#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|hsla?\([^)]*\)/gi);
+        return colors && colors.length > 0 ? colors : fallback;
     }
     
-    scaleEffect() {
-        this.removeAllEffects();
-        // Only scale title and heart, not the message
-        if (this.elements.title) {
-            this.elements.title.classList.add('scale-effect');
-        }
-        if (this.elements.heart) {
-            this.elements.heart.classList.add('scale-effect');
-        }
-        // Subtitle and message get fade
-        if (this.elements.subtitle) {
-            this.elements.subtitle.style.animation = 'fadeIn 1.5s ease-in-out';
-        }
-        if (this.elements.message) {
-            this.elements.message.style.animation = 'fadeIn 1.5s ease-in-out';
-        }
+    // Breaks between words the way the page's language splits them (see Locale.words), so
+    // languages written without spaces wrap too; the spaces there are kept, none are added
+    static wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            let space = '';
+            i18n.words(paragraph).forEach(token => {
+                if (/^\s*$/.test(token)) {
+                    space = line ? token : '';
+                    return;
+                }
+                const candidate = line + space + token;
+                space = '';
+                if (line && ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(line);
+                    line = token;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+}
+
+// Surprise Editor Class
+// Opened with ?edit: jumps straight to stage 3 and previews changes live next to the form
+class SurpriseEditor {
+    constructor(stageManager) {
+        this.stageManager = stageManager;
+        this.config = stageManager.config;
+        this.panel = document.getElementById('editor-panel');
+        this.form = document.getElementById('editor-form');
+        this.paletteList = document.getElementById('editor-palette');
+        this.status = document.getElementById('editor-status');
+        this.linkOutput = document.getElementById('editor-link');
+        // The theme whose colors and shapes the form was last filled with
+        this.shownTheme = null;
+        this.timers = scheduler.group();
+        this.listeners = new AbortController();
+        
+        this.init();
     }
     
-    rotateEffect() {
-        this.removeAllEffects();
-        // Only rotate heart, not text
-        if (this.elements.heart) {
-            this.elements.heart.classList.add('rotate-effect');
-        }
-        // Text gets elegant fade
-        const textElements = [this.elements.title, this.elements.subtitle, this.elements.message];
-        textElements.forEach((element, index) => {
-            if (element) {
-                setTimeout(() => {
-                    element.style.animation = 'fadeInUp 1s ease-out';
-                }, index * 200);
-            }
+    init() {
+        document.body.classList.add('editing');
+        this.panel.hidden = false;
+        
+        this.buildOptions();
+        this.populate();
+        this.bindEvents();
+        
+        this.stageManager.goTo(this.stageManager.stages.length - 1);
+    }
+    
+    buildOptions() {
+        const shapeList = document.getElementById('editor-shapes');
+        SHAPE_REGISTRY.forEach((draw, shape) => {
+            const label = document.createElement('label');
+            label.className = 'editor-option';
+            label.innerHTML = `<input type="checkbox" name="shapes" value="${escapeHTML(shape)}"> ${escapeHTML(shape)}`;
+            shapeList.appendChild(label);
+        });
+        
+        const themeSelect = this.form.elements.theme;
+        THEME_CHOICES.forEach(name => {
+            themeSelect.add(new Option(t(`theme.${name}`), name));
+        });
+        
+        const effectSelect = this.form.elements.effect;
+        effectNames().forEach(name => {
+            effectSelect.add(new Option(effectText(name).label, name));
+        });
+        
+        const speedSelect = this.form.elements.speed;
+        SPEED_STEPS.slice().sort((a, b) => a - b).forEach(speed => {
+            speedSelect.add(new Option(`${speed}×`, String(speed)));
         });
     }
     
-    combinedEffect() {
-        this.removeAllEffects();
-        // Elegant combined effect - title and heart
-        if (this.elements.title) {
-            this.elements.title.classList.add('combined-effect');
-        }
-        if (this.elements.heart) {
-            this.elements.heart.classList.add('combined-effect');
-        }
-        // Subtitle and message get staggered fade
-        if (this.elements.subtitle) {
-            setTimeout(() => {
-                this.elements.subtitle.style.animation = 'fadeInUp 1s ease-out';
-            }, 300);
-        }
-        if (this.elements.message) {
-            setTimeout(() => {
-                this.elements.message.style.animation = 'fadeInUp 1.2s ease-out';
-            }, 600);
-        }
+    populate() {
+        const { elements } = this.form;
+        elements.title.value = this.config.title;
+        elements.subtitle.value = this.config.subtitle;
+        elements.letter.value = this.config.letter.join('\n\n');
+        elements.signature.value = this.config.signature;
+        elements.theme.value = this.config.theme;
+        elements.effect.value = this.config.effect;
+        elements.speed.value = String(this.config.speed);
+        
+        const { palette, shapes } = this.stageManager.appearance();
+        this.showAppearance(palette, shapes);
     }
     
-    setEffect(effectName) {
-        if (this.effects[effectName]) {
-            this.currentEffect = effectName;
-            this.effects[effectName]();
-        }
+    showAppearance(palette, shapes) {
+        this.shownTheme = this.selectedTheme();
+        this.form.querySelectorAll('input[name="shapes"]').forEach(input => {
+            input.checked = shapes.includes(input.value);
+        });
+        
+        this.paletteList.innerHTML = '';
+        palette.forEach(color => this.addColor(color));
     }
     
-    startAnimation() {
-        if (this.isPlaying) {
-            this.effects[this.currentEffect]();
-        }
+    selectedTheme() {
+        return THEMES[themeManager.resolve(this.form.elements.theme.value)];
     }
     
-    pauseAnimation() {
-        this.isPlaying = false;
-        this.removeAllEffects();
+    // Colors and shapes that were the old theme's own switch to the new theme's
+    changeTheme() {
+        const previous = this.shownTheme;
+        const theme = this.selectedTheme();
+        const palette = this.readPalette();
+        const shapes = this.readShapes();
+        this.showAppearance(
+            SurpriseEditor.sameItems(palette, previous.palette) ? theme.palette : palette,
+            SurpriseEditor.sameItems(shapes, previous.shapes) ? theme.shapes : shapes
+        );
     }
     
-    resumeAnimation() {
-        this.isPlaying = true;
-        this.startAnimation();
+    readPalette() {
+        return Array.from(this.paletteList.querySelectorAll('input[type="color"]'), input => input.value);
     }
     
-    setSpeed(speed) {
-        this.speed = speed;
-        if (this.isPlaying) {
-            this.startAnimation();
-        }
+    readShapes() {
+        return Array.from(this.form.querySelectorAll('input[name="shapes"]:checked'), input => input.value);
     }
-}
-
-// Stage Manager Class
-class StageManager {
-    constructor() {
-        this.currentStage = 1;
-        this.totalStages = 3;
-        this.stages = [
-            document.getElementById('stage1'),
-            document.getElementById('stage2'),
-            document.getElementById('stage3')
-        ];
-        this.progressFill = document.getElementById('progress-fill');
-        this.stageIndicators = document.querySelectorAll('.stage-indicator');
-        this.animationManager = null;
-        this.particleSystem = null;
+    
+    addColor(color) {
+        const item = document.createElement('div');
+        item.className = 'editor-color';
         
-        this.init();
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.name = 'palette';
+        input.value = SurpriseEditor.toHexColor(color);
+        input.setAttribute('aria-label', t('editor.color'));
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'editor-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', t('editor.removeColor'));
+        remove.addEventListener('click', () => {
+            item.remove();
+            this.schedulePreview();
+        });
+        
+        item.append(input, remove);
+        this.paletteList.appendChild(item);
     }
     
-    init() {
-        this.startStageSequence();
+    bindEvents() {
+        const { signal } = this.listeners;
+        this.form.addEventListener('input', () => this.schedulePreview(), { signal });
+        this.form.addEventListener('change', () => this.schedulePreview(), { signal });
+        this.form.addEventListener('submit', (e) => e.preventDefault(), { signal });
+        
+        this.form.elements.theme.addEventListener('change', () => this.changeTheme(), { signal });
+        document.getElementById('editor-add-color').addEventListener('click', () => {
+            this.addColor(this.selectedTheme().palette[0]);
+            this.schedulePreview();
+        }, { signal });
+        document.getElementById('editor-download').addEventListener('click', () => this.downloadConfig(), { signal });
+        document.getElementById('editor-share').addEventListener('click', () => this.copyShareLink(), { signal });
     }
     
-    startStageSequence() {
-        // Stage 1: VS Code typing (3 seconds)
-        setTimeout(() => {
-            this.nextStage();
-        }, 3000);
-        
-        // Stage 2: Run sequence (4 seconds)
-        setTimeout(() => {
-            this.nextStage();
-            this.initStage3();
-        }, 7000);
+    // Colors and shapes left as the theme has them keep following it (null in the config)
+    readForm() {
+        const { elements } = this.form;
+        const theme = this.selectedTheme();
+        const palette = this.readPalette();
+        const shapes = this.readShapes();
+        return {
+            ...this.config,
+            title: elements.title.value.trim(),
+            subtitle: elements.subtitle.value.trim(),
+            // Blank lines separate paragraphs, single line breaks are kept inside them
+            letter: elements.letter.value
+                .split(/\n\s*\n/)
+                .map(paragraph => paragraph.trim())
+                .filter(Boolean),
+            signature: elements.signature.value.trim(),
+            effect: elements.effect.value,
+            speed: Number(elements.speed.value),
+            theme: elements.theme.value,
+            palette: SurpriseEditor.sameItems(palette, theme.palette) ? null : palette,
+            shapes: SurpriseEditor.sameItems(shapes, theme.shapes) ? null : shapes
+        };
     }
     
-    nextStage() {
-        if (this.currentStage < this.totalStages) {
-            this.stages[this.currentStage - 1].classList.remove('active');
-            this.currentStage++;
-            this.stages[this.currentStage - 1].classList.add('active');
-            this.updateProgress();
-            this.updateIndicators();
+    // Validates the form and returns the config, or null after showing what's wrong
+    readValidConfig() {
+        try {
+            return ConfigLoader.resolve(ShareLink.compact(this.readForm()), 'editor');
+        } catch (error) {
+            this.showStatus(error.errors ? error.errors.join(' · ') : error.message, true);
+            return null;
         }
     }
     
-    updateProgress() {
-        const progress = (this.currentStage / this.totalStages) * 100;
-        this.progressFill.style.width = `${progress}%`;
+    // Typing restarts the text effect, so wait for a pause before previewing
+    schedulePreview() {
+        this.timers.cancelAll();
+        this.timers.setTimer(() => this.preview(), 300);
     }
     
-    updateIndicators() {
-        this.stageIndicators.forEach((indicator, index) => {
-            indicator.classList.toggle('active', index + 1 === this.currentStage);
-        });
+    preview() {
+        const config = this.readValidConfig();
+        if (!config) {
+            return;
+        }
+        this.config = config;
+        this.stageManager.updateConfig(config);
+        this.linkOutput.hidden = true;
+        this.showStatus('');
     }
     
-    initStage3() {
-        // Initialize particle system
-        const canvas = document.getElementById('particle-canvas');
-        if (canvas) {
-            this.particleSystem = new ParticleSystem(canvas);
-            this.particleSystem.animate();
+    downloadConfig() {
+        const config = this.readValidConfig();
+        if (!config) {
+            return;
         }
         
-        // Initialize animation manager
-        this.animationManager = new AnimationManager();
-        
-        // Initialize controls
-        this.initControls();
+        const json = JSON.stringify(ShareLink.compact(config), null, 4);
+        downloadBlob(new Blob([json], { type: 'application/json' }), config.fileName.replace(/\.html?$/i, '') + '.json');
+        this.showStatus(t('editor.downloaded'));
     }
     
-    initControls() {
-        const playPauseBtn = document.getElementById('play-pause');
-        const speedBtn = document.getElementById('speed-control');
-        const effectBtn = document.getElementById('effect-cycle');
-        const musicBtn = document.getElementById('music-toggle');
-        const animBtns = document.querySelectorAll('.anim-btn');
-        const audio = document.getElementById('background-music');
-        
-        let isPlaying = true;
-        let currentSpeed = 1;
-        let currentEffectIndex = 0;
-        const effects = ['fade', 'typewriter', 'morph', 'scale', 'rotate', 'combined'];
-        
-        // Play/Pause button
-        playPauseBtn.addEventListener('click', () => {
-            isPlaying = !isPlaying;
-            playPauseBtn.textContent = isPlaying ? '⏸️' : '▶️';
-            
-            if (isPlaying) {
-                this.animationManager.resumeAnimation();
-            } else {
-                this.animationManager.pauseAnimation();
-            }
-        });
+    async copyShareLink() {
+        const config = this.readValidConfig();
+        if (!config) {
+            return;
+        }
         
-        // Speed control
-        speedBtn.addEventListener('click', () => {
-            currentSpeed = currentSpeed === 1 ? 2 : currentSpeed === 2 ? 0.5 : 1;
-            speedBtn.textContent = currentSpeed === 2 ? '⚡⚡' : currentSpeed === 0.5 ? '🐌' : '⚡';
-            this.animationManager.setSpeed(currentSpeed);
-        });
+        // The recipient's link shouldn't open the editor or carry another config
+        const base = new URL(window.location.href);
+        base.search = '';
+        base.hash = '';
         
-        // Effect cycle
-        effectBtn.addEventListener('click', () => {
-            currentEffectIndex = (currentEffectIndex + 1) % effects.length;
-            this.animationManager.setEffect(effects[currentEffectIndex]);
-            effectBtn.textContent = '✨';
-            setTimeout(() => {
-                effectBtn.textContent = '✨';
-            }, 200);
-        });
+        let link;
+        try {
+            link = await ShareLink.create(config, base.toString());
+        } catch (error) {
+            this.showStatus(error.message, true);
+            return;
+        }
         
-        // Music toggle
-        musicBtn.addEventListener('click', () => {
-            if (audio.paused) {
-                audio.play().catch(e => console.log('Audio play failed:', e));
-                musicBtn.textContent = '🔇';
-            } else {
-                audio.pause();
-                musicBtn.textContent = '🎵';
+        this.linkOutput.value = link;
+        this.linkOutput.hidden = false;
+        try {
+            await navigator.clipboard.writeText(link);
+            this.showStatus(t('editor.copied'));
+        } catch (error) {
+            this.linkOutput.select();
+            this.showStatus(t('editor.copyBelow'));
+        }
+    }
+    
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+    
+    destroy() {
+        this.listeners.abort();
+        this.timers.destroy();
+        document.body.classList.remove('editing');
+        this.panel.hidden = true;
+        document.getElementById('editor-shapes').innerHTML = '';
+        this.form.elements.theme.length = 0;
+        this.form.elements.effect.length = 0;
+        this.form.elements.speed.length = 0;
+    }
+    
+    static sameItems(list, other) {
+        return list.length === other.length && list.every(item => other.includes(item));
+    }
+    
+    // <input type="color"> only understands #rrggbb, so normalize through the canvas parser
+    static toHexColor(color) {
+        const ctx = document.createElement('canvas').getContext('2d');
+        ctx.fillStyle = '#000000';
+        ctx.fillStyle = color;
+        const normalized = String(ctx.fillStyle);
+        return /^#[0-9a-f]{6}$/i.test(normalized) ? normalized : THEMES.romantic.palette[0];
+    }
+}
+
+// Offline Support
+// Registers sw.js (which precaches the bundle) and asks it to keep this surprise's own
+// assets too, so a recipient who opened it once can replay it without a connection
+class OfflineSupport {
+    static register(config) {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            return;
+        }
+        navigator.serviceWorker.register('sw.js')
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => {
+                const urls = OfflineSupport.assetUrls(config);
+                if (registration.active && urls.length > 0) {
+                    registration.active.postMessage({ type: 'cache-urls', urls });
+                }
+            })
+            .catch(error => console.warn('Offline support unavailable:', error));
+    }
+    
+    // Assets a custom config points at that the precache manifest can't know about
+    static assetUrls(config) {
+        const tracks = config.music ? AudioEngine.tracks(config.music) : [];
+        const urls = tracks.flatMap(track => (track.lyrics ? [...track.sources, track.lyrics] : track.sources));
+        config.chapters.forEach(({ photo }) => {
+            if (photo) {
+                urls.push(typeof photo === 'string' ? photo : photo.src);
             }
         });
-        
-        // Animation buttons
-        animBtns.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const effect = btn.dataset.effect;
-                this.animationManager.setEffect(effect);
-                
-                // Update active button
-                animBtns.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-            });
-        });
-        
-        // Set initial active button
-        animBtns[0].classList.add('active');
+        if (config.gallery) {
+            urls.push(...config.gallery.photos.map(photo => PhotoGallery.normalize(photo).src));
+        }
+        return urls.map(url => new URL(url, window.location.href).href);
     }
 }
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
-    const stageManager = new StageManager();
+document.addEventListener('DOMContentLoaded', async () => {
+    const config = await ConfigLoader.load();
+    await i18n.load(config);
+    const isEditing = new URLSearchParams(window.location.search).has('edit');
+    // The editor always opens; a locked surprise waits for its gate before stage 1 plays
+    const isLocked = !isEditing && UnlockGate.isLocked(config.gate);
+    const stageManager = new StageManager(config, { autoplay: !isEditing && !isLocked });
+    if (isEditing) {
+        new SurpriseEditor(stageManager);
+    }
+    if (isLocked) {
+        new UnlockGate(config.gate).unlocked.then(() => stageManager.startStageSequence());
+    }
+    new KeyboardShortcuts(stageManager);
+    OfflineSupport.register(config);
     
     // Add some interactive effects
     document.addEventListener('click', (e) => {
+        // On stage 3 the particle system answers clicks with a burst of its own
+        if (motionPolicy.reduced || (stageManager.particleSystem && stageManager.particleSystem.canBurst())) {
+            return;
+        }
+        
         // Create ripple effect on click
         const ripple = document.createElement('div');
         ripple.style.position = 'absolute';
         ripple.style.width = '20px';
         ripple.style.height = '20px';
-        ripple.style.background = 'rgba(255, 107, 157, 0.6)';
+        ripple.style.background = 'rgba(var(--accent-rgb), 0.6)';
         ripple.style.borderRadius = '50%';
         ripple.style.transform = 'translate(-50%, -50%)';
         ripple.style.pointerEvents = 'none';
@@ -655,7 +7612,7 @@ document.addEventListener('DOMContentLoaded', () => {
         
         document.body.appendChild(ripple);
         
-        setTimeout(() => {
+        scheduler.setTimer(() => {
             document.body.removeChild(ripple);
         }, 600);
     });
@@ -680,9 +7637,14 @@ document.addEventListener('DOMContentLoaded', () => {
 // Enhanced touch support for mobile
 let touchStartTime = 0;
 let touchStartPos = { x: 0, y: 0 };
+let touchStartTarget = null;
+// A sideways drag at least this long (px) and this quick (ms) is a swipe
+const SWIPE_DISTANCE = 50;
+const SWIPE_TIME = 600;
 
 document.addEventListener('touchstart', (e) => {
     touchStartTime = Date.now();
+    touchStartTarget = e.target;
     if (e.touches.length > 0) {
         touchStartPos.x = e.touches[0].clientX;
         touchStartPos.y = e.touches[0].clientY;
@@ -715,6 +7677,19 @@ document.addEventListener('touchend', (e) => {
             }
         }
     }
+    
+    // Swipes reach the element the touch began on as a 'swipe' event, detail.direction 'left' or 'right'
+    if (timeDiff < SWIPE_TIME && e.changedTouches.length > 0 && touchStartTarget) {
+        const touch = e.changedTouches[0];
+        const xMove = touch.clientX - touchStartPos.x;
+        const yMove = touch.clientY - touchStartPos.y;
+        if (Math.abs(xMove) >= SWIPE_DISTANCE && Math.abs(xMove) > Math.abs(yMove) * 1.5) {
+            touchStartTarget.dispatchEvent(new CustomEvent('swipe', {
+                bubbles: true,
+                detail: { direction: xMove < 0 ? 'left' : 'right' }
+            }));
+        }
+    }
 }, { passive: true });
 
 // Prevent double-tap zoom on buttons
@@ -737,12 +7712,20 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
-// Optimize scroll performance
+// Optimize scroll performance: scroll listeners run at most once a frame
+const scrollListeners = new Set();
 let ticking = false;
+
+// Returns an unsubscribe function
+const onScrollFrame = (listener) => {
+    scrollListeners.add(listener);
+    return () => scrollListeners.delete(listener);
+};
+
 function optimizeScroll() {
     if (!ticking) {
-        window.requestAnimationFrame(() => {
-            // Scroll optimization logic can go here
+        scheduler.requestFrame(() => {
+            scrollListeners.forEach(listener => listener());
             ticking = false;
         });
         ticking = true;
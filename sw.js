@@ -0,0 +1,158 @@
+// Service Worker
+// Serves the precached bundle first so the surprise opens offline, and keeps a copy
+// of anything else it fetches for the next visit. Configs and other data are fetched
+// fresh whenever there is a network; photos, music and lyrics show the kept copy at once
+// and refresh it in the background. The bundle's cache is named after the manifest's
+// version, kept cached files (by full URL, query included) are cleared with it
+importScripts('precache-manifest.js');
+
+const { version, assets, optional } = self.PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'surprise-';
+const PRECACHE = `${CACHE_PREFIX}precache-v${version}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-v${version}`;
+// The bundle's own files, matched whatever query string they are asked for with
+const PRECACHED = new Set(assets.concat(optional).map(url => new URL(url, self.location.href).href));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(assets).then(() => Promise.all(
+                optional.map(url => cache.add(url).catch(() => {}))
+            )))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== PRECACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, 'index.html'));
+    } else if (PRECACHED.has(withoutSearch(request.url))) {
+        event.respondWith(cacheFirst(request));
+    } else if (sameOrigin(request.url) && request.destination !== '') {
+        event.respondWith(staleWhileRevalidate(request));
+    } else {
+        // fetch() calls (configs, catalogs) and anything cross-origin
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// The page sends the assets its config points at, so they are ready before they are played
+self.addEventListener('message', (event) => {
+    const { data } = event;
+    if (!data || data.type !== 'cache-urls' || !Array.isArray(data.urls)) {
+        return;
+    }
+    event.waitUntil(caches.open(RUNTIME_CACHE).then(cache => Promise.all(data.urls.map(url =>
+        cache.match(url).then(cached => cached || fetch(url, { mode: sameOrigin(url) ? 'same-origin' : 'no-cors' })
+            .then(response => isCacheable(response) ? cache.put(url, response) : undefined))
+            .catch(() => {})
+    ))));
+});
+
+const sameOrigin = url => new URL(url, self.location.href).origin === self.location.origin;
+
+// Opaque responses (cross-origin without CORS) can't be inspected but still play back
+const isCacheable = response => response.ok || response.type === 'opaque';
+
+// Cache keys ignore Range so a partial request finds the full file. Only the bundle's
+// files ignore the query string, anything else is kept per URL so ?v=2 doesn't get ?v=1
+const matchCached = request => caches.match(request.url, { ignoreSearch: PRECACHED.has(withoutSearch(request.url)) });
+
+const withoutSearch = (href) => {
+    const url = new URL(href);
+    url.search = '';
+    return url.href;
+};
+
+const fromCache = (request, cached) => (request.headers.has('range') ? sliceRange(request, cached) : cached);
+
+// Keeps a full (not ranged) response for the next visit
+const keep = (request, response) => {
+    if (response.status === 200 && !request.headers.has('range')) {
+        const copy = response.clone();
+        caches.open(RUNTIME_CACHE).then(cache => cache.put(request.url, copy));
+    }
+    return response;
+};
+
+const cacheFirst = (request) => matchCached(request).then(cached => {
+    if (cached) {
+        return fromCache(request, cached);
+    }
+    return fetch(request).then(response => keep(request, response));
+});
+
+// The kept copy answers straight away while a fresh one is fetched for next time
+const staleWhileRevalidate = (request) => matchCached(request).then(cached => {
+    if (!cached) {
+        return fetch(request).then(response => keep(request, response));
+    }
+    // A ranged request still refreshes the whole file
+    const plain = new Request(request.url);
+    fetch(plain).then(response => keep(plain, response)).catch(() => {});
+    return fromCache(request, cached);
+});
+
+const networkFirst = (request, fallbackUrl) => fetch(request)
+    .then(response => {
+        if (isCacheable(response) && response.status !== 206 && !request.headers.has('range')) {
+            const copy = response.clone();
+            caches.open(RUNTIME_CACHE).then(cache => cache.put(request.url, copy));
+        }
+        return response;
+    })
+    .catch(() => matchCached(request)
+        .then(cached => cached || (fallbackUrl && caches.match(fallbackUrl)))
+        .then(cached => {
+            if (!cached) {
+                return Response.error();
+            }
+            return request.headers.has('range') && cached.type !== 'opaque' ? sliceRange(request, cached) : cached;
+        }));
+
+// Media elements ask for byte ranges; answer them from the cached full file
+const sliceRange = (request, response) => response.blob().then(blob => {
+    const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range'));
+    if (!match) {
+        return new Response(blob, { status: 200, headers: response.headers });
+    }
+    let start;
+    let end;
+    if (match[1] === '') {
+        // bytes=-500 means the last 500 bytes
+        start = Math.max(blob.size - Number(match[2]), 0);
+        end = blob.size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? blob.size - 1 : Math.min(Number(match[2]), blob.size - 1);
+    }
+    if (start >= blob.size || start > end) {
+        return new Response(null, {
+            status: 416,
+            headers: { 'Content-Range': `bytes */${blob.size}` }
+        });
+    }
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || blob.type,
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+});
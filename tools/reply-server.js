@@ -0,0 +1,95 @@
+// Reply Server
+// A stand-in for the endpoint of config.reply.storage = { type: 'post', endpoint }, to try the
+// reply panel locally. Replies are printed and kept in memory; GET lists what has come in.
+//
+//   node tools/reply-server.js            listens on http://localhost:8787/replies
+//   PORT=9000 FAIL=3 node tools/reply-server.js
+//
+// FAIL answers the first N posts with 503, to watch the page retry; a reply that arrives twice
+// (same id) is only kept once
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const PATH = '/replies';
+const MAX_BODY = 64 * 1024;
+let failures = Number(process.env.FAIL) || 0;
+const replies = new Map();
+
+const send = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    if (pathname !== PATH) {
+        send(res, 404, { error: 'not found' });
+        return;
+    }
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+    if (req.method === 'GET') {
+        send(res, 200, [...replies.values()]);
+        return;
+    }
+    if (req.method !== 'POST') {
+        send(res, 405, { error: 'method not allowed' });
+        return;
+    }
+    
+    let body = '';
+    let isTooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        if (isTooLarge) {
+            return;
+        }
+        body += chunk;
+        if (body.length > MAX_BODY) {
+            // Answered straight away; the rest is read and dropped so the client gets the 413
+            // rather than a reset, then the connection closes
+            isTooLarge = true;
+            body = '';
+            res.setHeader('Connection', 'close');
+            send(res, 413, { error: 'too large' });
+        }
+    });
+    req.on('end', () => {
+        if (isTooLarge) {
+            return;
+        }
+        if (failures > 0) {
+            failures--;
+            console.log(`503 (${failures} more to fail)`);
+            send(res, 503, { error: 'failing on purpose' });
+            return;
+        }
+        let reply;
+        try {
+            reply = JSON.parse(body);
+        } catch (error) {
+            send(res, 400, { error: 'not JSON' });
+            return;
+        }
+        if (!reply || typeof reply.id !== 'string') {
+            send(res, 400, { error: 'a reply needs an id' });
+            return;
+        }
+        if (!replies.has(reply.id)) {
+            replies.set(reply.id, reply);
+            console.log(`${reply.at} ${reply.type}: ${reply.reaction || reply.message}`);
+        }
+        send(res, 201, { id: reply.id });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Reply server on http://localhost:${PORT}${PATH}`);
+});
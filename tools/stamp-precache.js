@@ -0,0 +1,36 @@
+// Stamp Precache
+// Sets the precache manifest's version to a hash of the files it lists, so any change to
+// them gives returning visitors a fresh service worker cache. Run it after editing the
+// bundle, before publishing:
+//
+//   node tools/stamp-precache.js
+//
+// Listed files that aren't there (an optional track nobody added) count as absent
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'precache-manifest.js');
+const VERSION_LINE = /^(\s*version: )[^,\n]+,$/m;
+
+const source = fs.readFileSync(MANIFEST, 'utf8');
+const sandbox = { self: {} };
+vm.runInNewContext(source, sandbox);
+const { assets, optional } = sandbox.self.PRECACHE_MANIFEST;
+
+const hash = crypto.createHash('sha256');
+[...assets, ...optional].filter(url => url !== './').forEach(url => {
+    const file = path.join(ROOT, url);
+    hash.update(url);
+    hash.update(fs.existsSync(file) ? fs.readFileSync(file) : 'absent');
+});
+const version = hash.digest('hex').slice(0, 12);
+
+if (!VERSION_LINE.test(source)) {
+    console.error(`No "version: ..." line found in ${MANIFEST}`);
+    process.exit(1);
+}
+fs.writeFileSync(MANIFEST, source.replace(VERSION_LINE, `$1'${version}',`));
+console.log(`Precache version ${version}`);